@@ -1,18 +1,91 @@
-import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
-import { feature } from "https://cdn.jsdelivr.net/npm/topojson-client@3/+esm";
-import { geoAirocean } from "https://cdn.skypack.dev/d3-geo-polygon@2";
+import { d3, feature, geoAirocean } from "./vendor/libs.js";
 
 const DATA_CSV    = "./hostmap_references.csv";
 const FOLDERS_CSV = "./domains_by_folder.csv";
+const BOOKMARKS_CSV = "./bookmarks_flat.csv";
+const RULES_JSON = "./hosting_rules.json";
+const CITIES_JSON = "./cities.json";
+// ships with the code (not the data), so it resolves next to app.js wherever the map is embedded
+const WORLD_ATLAS = new URL("./vendor/countries-110m.json", import.meta.url).href;
 
-const CITOGRAPHY_ROOT = "citography";
+const CITOGRAPHY_ROOT = "citography";       // root folder selected by default
 
-const GENT = [3.7174, 51.0543];
+// one colour per collection when several are shown together
+const COLLECTION_COLORS = d3.schemeDark2;
+const MULTI_COLLECTION_COLOR = "#555555";   // domain saved in more than one of them
+
+// default home: projection centre, magenta marker, arc origin, distances
+const DEFAULT_HOME = { name: "Gent", lon: 3.7174, lat: 51.0543 };
+const EARTH_RADIUS_KM = 6371;
 const GLOBE_SHRINK = 0.70;
 const ROTATE_STEP  = 0.05;
 
 const DOT_RADIUS = 1.6;
-const COLOR = (label) => label === "HOST" ? "#111111" : label === "EDGE" ? "#777777" : "#BBBBBB";
+const UNKNOWN_COLOR = "#BBBBBB";
+
+const HIGHLIGHT_COLOR = "#d100d1";
+const HIGHLIGHT_SW = 1.4;
+const HIGHLIGHT_RBOOST = 2.2;
+
+const DOT_OPACITY = 0.85;
+const DIM_OPACITY = 0.12;
+
+// choropleth ramp (white land -> brand magenta)
+const RAMP = d3.interpolateRgb("#f7e8f7", "#d100d1");
+
+// ip-api country names -> world-atlas feature names
+const COUNTRY_ALIASES = new Map([
+  ["united states", "United States of America"],
+  ["usa", "United States of America"],
+  ["the netherlands", "Netherlands"],
+  ["czech republic", "Czechia"],
+  ["russian federation", "Russia"],
+  ["republic of korea", "South Korea"],
+  ["korea, republic of", "South Korea"],
+  ["bosnia and herzegovina", "Bosnia and Herz."],
+  ["dominican republic", "Dominican Rep."],
+  ["north macedonia", "Macedonia"],
+  ["ivory coast", "Côte d'Ivoire"]
+]);
+
+const ARC_COLOR = "#d100d1";
+const ARC_MIN_PX = 0.4;
+const ARC_MAX_PX = 5;
+
+// snapshot comparison: ring colour per change, moves shorter than this are geolocation noise
+const RELOCATE_KM = 50;
+const CHANGE_SW = 1.2;
+const CHANGE_ORDER = ["new", "relocated", "reclassified", "removed"];
+const CHANGE_STYLES = {
+  new: { label: "new", color: "#0ca678" },
+  relocated: { label: "relocated", color: "#f08c00" },
+  reclassified: { label: "reclassified", color: "#7048e8" },
+  removed: { label: "removed", color: "#868e96" }
+};
+
+const HIT_PX = 3;                 // extra hover/click slack around canvas dots
+
+// live preview: give up after this long. A refused frame cannot be detected, so only these
+// known refusers open straight on the card; any other blank preview needs "Show card".
+const FRAME_TIMEOUT_MS = 8000;
+const NO_FRAME_DOMAINS = [
+  "jstor.org", "mitpress.mit.edu", "github.com", "google.com", "youtube.com",
+  "linkedin.com", "facebook.com", "instagram.com", "x.com", "twitter.com"
+];
+
+// timeline playback: whole span in about TIME_PLAY_MS
+const TIME_PLAY_MS = 15000;
+const TIME_TICK_MS = 60;
+const DAY_MS = 86400000;
+
+const FLY_MS = 900;
+const FLY_ZOOM_K = 3;
+
+// below UNFOLD_ZOOM_K co-located dots collapse into one cluster marker (screen px)
+const CLUSTER_MIN_PX = 6;
+const CLUSTER_RING_PX = 2.5;
+const SPIDER_CIRCLE_MAX = 12;     // more members than this -> spiral instead of a ring
+const SPIDER_LEG_COLOR = "#999999";
 
 const UNFOLD_ZOOM_K = 4;
 const UNFOLD_BASE_PX = 10;
@@ -23,723 +96,4066 @@ const EDGE_KW = [
   "INCAPSULA","IMPERVA","CDN","STACKPATH"
 ];
 
-function normalizeDomain(raw) {
-  const d = (raw || "").trim().toLowerCase();
-  return d.startsWith("www.") ? d.slice(4) : d;
-}
+// used when hosting_rules.json is missing: the original HOST / EDGE keyword split
+const DEFAULT_RULES = {
+  unknown: "UNKNOWN",
+  fallback: "HOST",
+  categories: [
+    { id: "HOST", label: "HOST", color: "#111111", description: "likely hosting / organization network (not matching CDN keywords)." },
+    { id: "EDGE", label: "EDGE", color: "#777777", description: "likely CDN/proxy front door (keyword match)." },
+    { id: "UNKNOWN", label: "UNKNOWN", color: UNKNOWN_COLOR, description: "missing/unclear owner info." }
+  ],
+  rules: [
+    { category: "EDGE", org: EDGE_KW, domain: EDGE_KW }
+  ]
+};
+
+// --- markup (one copy per map: class names instead of ids, so a page can hold several) ---
+let mapCount = 0;                 // keeps the datalist / gradient ids unique on the page
+
+function hostMapHtml(uid) {
+  return `
+    <!-- Timeline (top, under the title) -->
+    <div class="timeline ui-font">
+      <button class="timePlay ui-font" type="button" title="Replay the collection growing">▶</button>
+      <input class="timeRange" type="range" min="0" max="0" step="1" value="0" />
+      <span class="timeLabel">all dates</span>
+    </div>
 
-function isCitographyFolder(fp) {
-  const raw = (fp || "").trim().toLowerCase();
-  if (!raw) return false;
+    <!-- Bottom-left stack: Sites, Info, Legend -->
+    <div class="leftStack">
+
+    <!-- Sites list -->
+    <div class="sitelist">
+      <div class="header" tabindex="0" aria-label="Sites list">
+        <div>Sites</div>
+        <div class="siteCount count">…</div>
+      </div>
+      <div class="collections" title="Root folders found in the bookmarks"></div>
+      <select class="groupBy ui-font" title="Group the list">
+        <option value="folder" selected>Group: folder</option>
+        <option value="country">Group: country</option>
+        <option value="org">Group: owner / ASN</option>
+        <option value="class">Group: class</option>
+        <option value="count">Sort: bookmarks</option>
+        <option value="distance">Sort: distance from home</option>
+      </select>
+      <div class="siteScroll"></div>
+    </div>
 
-  // normalize various separators into "/"
-  const norm = raw
-    .replace(/\\/g, "/")
-    .replace(/>/g, "/")
-    .replace(/\|/g, "/")
-    .replace(/–/g, "-")
-    .replace(/\s*\/\s*/g, "/")
-    .replace(/\s+/g, " ")
-    .trim();
+    <!-- INFO (same hover-expand style as legend) -->
+    <div class="infoWrap">
+      <div class="collapsed">
+        <b>Info</b>
+      </div>
+
+      <div class="infoPopup explain" aria-hidden="true">
+        A globe of the Citography web references.
+        Each dot is a domain, positioned by the approximate location of its hosting network.
+
+        <br><br>
+        <b>Pipeline:</b>
+        <br>• Bookmarks.html → URLs + folder paths
+        <br>• Domain → IP (DNS lookup)
+        <br>• IP → owner (RIPEstat) + location (ip-api.com)
+        <br>• Rendered with D3.js + world-atlas/topojson
+        <br>• Hosting classes: rules in hosting_rules.json (org / ASN / domain suffix)
+      </div>
+    </div>
 
-  const parts = norm.split("/").map(s => s.trim()).filter(Boolean);
+    <!-- Legend bottom-left -->
+    <div class="legend">
+      <div class="collapsed">
+        <b>Host map</b>
+        <div class="legendItems"></div>
+      </div>
+
+      <div class="explain">
+        Click a class to toggle it.
+        Toggled classes are
+        <button class="legendMode ui-font" type="button">hidden</button><br><br>
+        <div class="legendExplain"></div><br>
+        Classes and colours come from
+        <span style="font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;">hosting_rules.json</span>
+        (first matching rule wins).
+      </div>
+    </div>
 
-  // Accept if ANY segment is exactly "citography"
-  return parts.includes(CITOGRAPHY_ROOT);
-}
+    </div>
 
-function cleanFolderPath(fp) {
-  let s = (fp || "").toString();
+    <div class="vis"></div>
+    <div class="srStatus sr-only" role="status" aria-live="polite"></div>
+    <div class="tip tooltip"></div>
+
+    <!-- Controls bottom-right -->
+    <div class="controls ui-font">
+      <input class="search ui-font" type="search" placeholder="Search domain, org, ASN, country, folder…" autocomplete="off" />
+      <select class="proj ui-font">
+        <option value="ortho_gent" selected>Orthographic (home)</option>
+        <option value="equalEarth">Equal Earth</option>
+        <option value="airocean">Dymaxion (Airocean)</option>
+      </select>
+      <input class="homeInput ui-font" type="search" list="homeCities-${uid}" placeholder="Home: Gent" title="Home city: projection centre, arc origin and distances" autocomplete="off" />
+      <datalist id="homeCities-${uid}" class="homeCities"></datalist>
+      <button class="homePick ui-font" type="button" title="Click the map to set home">Pick home</button>
+      <select class="viewMode ui-font" title="View">
+        <option value="dots" selected>View: dots</option>
+        <option value="countryDomains">View: domains per country</option>
+        <option value="countryBookmarks">View: bookmarks per country</option>
+      </select>
+      <select class="arcMode ui-font" title="Flow arcs from home">
+        <option value="off" selected>Arcs: off</option>
+        <option value="domains">Arcs: domains</option>
+        <option value="bookmarks">Arcs: bookmarks</option>
+      </select>
+      <select class="sizeMode ui-font" title="Dot size">
+        <option value="constant" selected>Dots: constant</option>
+        <option value="sqrt">Dots: by bookmarks</option>
+      </select>
+      <select class="exportMenu ui-font" title="Export the current view">
+        <option value="" selected>Export…</option>
+        <option value="svg">SVG (map + legend)</option>
+        <option value="png1">PNG 1×</option>
+        <option value="png2">PNG 2×</option>
+        <option value="png4">PNG 4×</option>
+        <option value="csv">CSV: filtered points</option>
+        <option value="csvScreen">CSV: points on screen</option>
+        <option value="geojson">GeoJSON: filtered points</option>
+        <option value="geojsonScreen">GeoJSON: points on screen</option>
+      </select>
+      <button class="statsToggle ui-font" type="button" title="Statistics for the loaded references">Stats</button>
+      <button class="diagToggle ui-font" type="button" title="Dropped rows, unmatched domains, duplicates, columns used">Data check</button>
+      <button class="compareToggle ui-font" type="button" title="Compare with an earlier hostmap CSV">Compare…</button>
+      <input class="compareInput" type="file" accept=".csv,text/csv" hidden />
+      <button class="loadFiles ui-font" type="button" title="Hostmap CSV, domains-by-folder CSV or Bookmarks.html">Load data…</button>
+      <input class="fileInput" type="file" multiple accept=".csv,.html,.htm,text/csv,text/html" hidden />
+      <button class="autorotate ui-font" type="button">Auto-rotate</button>
+    </div>
 
-  // normalize whitespace + separators
-  s = s.replace(/\r?\n+/g, " / ");     // turn line breaks into path separators
-  s = s.replace(/\s*>\s*/g, " / ");
-  s = s.replace(/\\/g, " / ");
-  s = s.replace(/\s*\/\s*/g, " / ");
-  s = s.replace(/\s+/g, " ").trim();
+    <!-- Statistics panel (top-right, toggled from the controls) -->
+    <div class="stats sidePanel ui-font">
+      <div class="header"><b>Statistics</b><span>click a bar to filter the globe</span></div>
+      <div class="statsBody"></div>
+    </div>
 
-  // split into segments
-  let parts = s.split(" / ").map(x => x.trim()).filter(Boolean);
+    <!-- Data diagnostics (same corner as the statistics) -->
+    <div class="diagnostics sidePanel ui-font">
+      <div class="header"><b>Data check</b><span>what loadData kept and dropped</span></div>
+      <div class="diagBody"></div>
+    </div>
 
-  // drop segments that are just numbers like "1"
-  parts = parts.filter(seg => !/^\d+$/.test(seg));
+    <!-- Snapshot comparison (same corner) -->
+    <div class="compare sidePanel ui-font">
+      <div class="header"><b>Snapshot comparison</b><span>click a row to find it</span></div>
+      <div class="compareBody"></div>
+    </div>
 
-  // drop root containers (common names in exports)
-  const DROP = new Set([
-    "bookmark bar",
-    "bookmarks bar",
-    "bookmarks toolbar",
-    "favorites bar",
-    "other bookmarks",
-    "mobile bookmarks"
-  ]);
+    <!-- Drag-and-drop target + status messages -->
+    <div class="dropZone ui-font">
+      Drop a hostmap CSV, a domains-by-folder CSV or a Bookmarks.html export
+    </div>
+    <div class="toast ui-font" role="status"></div>
+
+    <!-- Files that failed to load (atlas, CSVs, rules, city list) -->
+    <div class="loadError ui-font" role="alert">
+      <div class="header"><b>Some files could not be loaded</b></div>
+      <ul class="loadErrorList"></ul>
+      <div class="loadErrorHint">Check the connection and try again. Opened straight from disk (file://)?
+        Serve the folder instead, e.g. <code>python -m http.server</code>.</div>
+      <div class="loadErrorButtons">
+        <button class="loadErrorRetry" type="button">Try again</button>
+        <button class="loadErrorClose" type="button">Dismiss</button>
+      </div>
+    </div>
 
-  // remove them anywhere they appear
-  parts = parts.filter(seg => !DROP.has(seg.toLowerCase()));
+    <!-- Map legends above the controls: dot sizes / country colour ramp -->
+    <div class="mapLegends ui-font" aria-hidden="true">
+      <div class="sizeLegend mapLegend"></div>
+      <div class="rampLegend mapLegend"></div>
+    </div>
 
-  return parts.join(" / ");
+    <!-- Site popup -->
+    <div class="mapPopup">
+      <div class="mapPopupArrow"></div>
+      <div class="mapPopupHeader">
+        <div class="left">
+          <div class="topline">
+            <span class="popDomain domain">domain</span>
+            <span class="popTag tag">EDGE</span>
+            <span class="popKm km"></span>
+            <a class="popLink" href="#" target="_blank" rel="noopener noreferrer">Open</a>
+            <button class="popView ui-font" type="button">Show card</button>
+          </div>
+          <div class="frameHint">Blank preview? Many sites refuse to be shown inside other pages and only a few
+            known ones are recognised — use Show card or Open.</div>
+          <div class="popFoldersWrap"></div>
+        </div>
+        <button class="mapPopupClose" type="button">✕</button>
+      </div>
+      <div class="mapPopupBody">
+        <iframe class="mapPopupFrame" src="about:blank" loading="lazy"></iframe>
+        <div class="mapPopupCard"></div>
+      </div>
+    </div>
+  `;
 }
 
-function classifyHostEdge(domain, org) {
-  const hay = ((org || "") + " " + (domain || "")).toUpperCase();
-  if (!org) return "UNKNOWN";
-  for (const kw of EDGE_KW) if (hay.includes(kw)) return "EDGE";
-  return "HOST";
-}
+// --- embeddable map ---
+// createHostMap(container, options) fills `container` (give it a size) with one map and
+// resolves once the data is drawn (files that fail to load are listed in a panel on the map).
+// Every option is optional:
+//   hostmap, folders, bookmarks  CSV URL, or an array of rows already parsed
+//   rules                        hosting_rules.json URL, or the rules object itself
+//   cities, atlas                gazetteer / world-atlas URLs (the atlas defaults to vendor/)
+//   root                         root folder(s) shown by default ("citography")
+//   projection                   "orthographic" | "equalEarth" | "airocean"
+//   colors                       { CLASS_ID: "#hex" } over the rules file's colours
+//   autoRotate                   spin when idle (default: on, unless reduced motion is asked for)
+//   home                         {name, lon, lat}; default: this browser's last choice, else Gent
+//   renderer                     "canvas" | "svg"
+//   title                        heading of exported maps
+//   hash                         mirror the view in location.hash (the standalone page does)
+// The returned map has focusDomain, setFilter, setProjection, setHome and destroy, and
+// on(type, fn) for "hover" (point or null), "select" (point or null) and "rotate" ([λ, φ, γ]);
+// several listeners per type add up, off(type, fn) removes one (off(type) all of them).
+export async function createHostMap(container, options = {}) {
+  const uid = ++mapCount;
+  const root = container;
+  root.classList.add("hostmap");
+  root.innerHTML = hostMapHtml(uid);
+  const part = (name) => root.querySelector("." + name);
+
+  // listeners outside the container; destroy() removes them
+  const cleanups = [];
+  function listen(target, type, fn, opts) {
+    target.addEventListener(type, fn, opts);
+    cleanups.push(() => target.removeEventListener(type, fn, opts));
+  }
 
-// --- DOM ---
-let w = window.innerWidth, h = window.innerHeight;
+  const events = d3.dispatch("hover", "select", "rotate");
+  // on() listeners, each under its own name (one plain d3 name per type would replace the last)
+  let listeners = [];               // [{type, fn, name}]
+  let listenerCount = 0;
+
+  // a string option is a URL; an array (hostmap / folders / bookmarks) is rows already in memory
+  const urls = {
+    hostmap: typeof options.hostmap === "string" ? options.hostmap : DATA_CSV,
+    folders: typeof options.folders === "string" ? options.folders : FOLDERS_CSV,
+    bookmarks: typeof options.bookmarks === "string" ? options.bookmarks : BOOKMARKS_CSV,
+    rules: typeof options.rules === "string" ? options.rules : RULES_JSON,
+    cities: options.cities || CITIES_JSON,
+    atlas: options.atlas || WORLD_ATLAS
+  };
+  const defaultRoots = [].concat(options.root || CITOGRAPHY_ROOT).map(r => String(r).toLowerCase());
+  const exportTitle = options.title || "Citography research";
+
+  const COLOR = (label) => categoryById.get(label)?.color ?? UNKNOWN_COLOR;
+
+  // "sqrt" mode: dot area proportional to bookmark_count (1 bookmark = DOT_RADIUS)
+  let sizeMode = "constant";
+
+  function dotRadius(d) {
+    if (sizeMode !== "sqrt") return DOT_RADIUS;
+    return DOT_RADIUS * Math.sqrt(Math.max(1, d.bookmark_count || 0));
+  }
 
-const svg = d3.select("#vis").append("svg")
-  .attr("width", w)
-  .attr("height", h);
+  // --- hosting classes (rules) ---
+  let hostingRules = null;          // compiled rules file
+  let CLASSES = [];                 // category ids in legend order
+  let categoryById = new Map();     // id -> {id, label, color, description}
+
+  function setHostingRules(json) {
+    const categories = (json.categories || [])
+      .filter(c => c && c.id)
+      .map(c => ({
+        id: String(c.id),
+        label: String(c.label || c.id),
+        color: options.colors?.[c.id] || c.color || UNKNOWN_COLOR,
+        description: c.description || ""
+      }));
+
+    const upper = (list) => (list || []).map(v => String(v).toUpperCase()).filter(Boolean);
+    const lower = (list) => (list || []).map(v => String(v).toLowerCase()).filter(Boolean);
+
+    hostingRules = {
+      unknown: json.unknown || "UNKNOWN",
+      fallback: json.fallback || "HOST",
+      rules: (json.rules || []).filter(r => r && r.category).map(r => ({
+        category: String(r.category),
+        org: upper(r.org),
+        domain: lower(r.domain),
+        domainSuffix: lower(r.domainSuffix),
+        asn: new Set((r.asn || []).map(a => String(a).replace(/^AS/i, ""))),
+        orgMatchesDomain: !!r.orgMatchesDomain
+      }))
+    };
 
-const gAll = svg.append("g");
-const gLand = gAll.append("g");
-const gPts  = gAll.append("g");
+    // every class a rule can produce needs a legend entry
+    const ids = new Set(categories.map(c => c.id));
+    for (const id of [hostingRules.fallback, hostingRules.unknown, ...hostingRules.rules.map(r => r.category)]) {
+      if (!ids.has(id)) { categories.push({ id, label: id, color: options.colors?.[id] || UNKNOWN_COLOR, description: "" }); ids.add(id); }
+    }
 
-const tip = document.getElementById("tip");
-const btnAuto = document.getElementById("autorotate");
+    CLASSES = categories.map(c => c.id);
+    categoryById = new Map(categories.map(c => [c.id, c]));
+  }
+  setHostingRules(DEFAULT_RULES);
 
-const popup = document.getElementById("mapPopup");
-const popHeader = document.getElementById("mapPopupHeader");
-const popBody   = document.getElementById("mapPopupBody");
-const popDomain = document.getElementById("popDomain");
-const popTag = document.getElementById("popTag");
-const popLink = document.getElementById("popLink");
-const popFrame = document.getElementById("mapPopupFrame");
-const popFoldersWrap = document.getElementById("popFoldersWrap");
-const popClose = document.getElementById("mapPopupClose");
+  function classLabel(id) {
+    return categoryById.get(id)?.label ?? id;
+  }
 
-const siteScroll = document.getElementById("siteScroll");
-const siteCount = document.getElementById("siteCount");
+  function normalizeDomain(raw) {
+    const d = (raw || "").trim().toLowerCase();
+    return d.startsWith("www.") ? d.slice(4) : d;
+  }
 
-const graticule = d3.geoGraticule10();
+  // lower-cased path segments ("Bookmark Bar > Citography / DATA" -> ["bookmark bar", "citography", "data"])
+  function folderSegments(fp) {
+    const raw = (fp || "").trim().toLowerCase();
+    if (!raw) return [];
+
+    // normalize various separators into "/"
+    const norm = raw
+      .replace(/\\/g, "/")
+      .replace(/>/g, "/")
+      .replace(/\|/g, "/")
+      .replace(/–/g, "-")
+      .replace(/\s*\/\s*/g, "/")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return norm.split("/").map(s => s.trim()).filter(Boolean);
+  }
 
+  // the selected root folder this path lives under (ANY segment may match), or null
+  function collectionOf(fp) {
+    const parts = folderSegments(fp);
+    return parts.find(p => selectedRoots.includes(p)) ?? null;
+  }
 
-// --- projection ---
-let projection = d3.geoOrthographic().rotate([-GENT[0], -GENT[1]]).clipAngle(90);
-let path = d3.geoPath(projection);
+  function isCollectionFolder(fp) {
+    return collectionOf(fp) !== null;
+  }
 
-function forceCenter() {
-  if (projection.translate) projection.translate([w/2, h/2]);
-}
+  function cleanFolderPath(fp) {
+    let s = (fp || "").toString();
 
-function setProjection(kind, countries) {
-  if (kind === "airocean") projection = geoAirocean();
-  else if (kind === "equalEarth") projection = d3.geoEqualEarth();
-  else projection = d3.geoOrthographic().rotate([-GENT[0], -GENT[1]]).clipAngle(90);
+    // normalize whitespace + separators
+    s = s.replace(/\r?\n+/g, " / ");     // turn line breaks into path separators
+    s = s.replace(/\s*>\s*/g, " / ");
+    s = s.replace(/\\/g, " / ");
+    s = s.replace(/\s*\/\s*/g, " / ");
+    s = s.replace(/\s+/g, " ").trim();
 
-  try { projection.fitSize([w, h], countries); }
-  catch { projection.scale(Math.min(w, h) / 2.2).translate([w/2, h/2]); }
+    // split into segments
+    let parts = s.split(" / ").map(x => x.trim()).filter(Boolean);
 
-  if (projection.scale) projection.scale(projection.scale() * GLOBE_SHRINK);
-  forceCenter();
-  path = d3.geoPath(projection);
-}
+    // drop segments that are just numbers like "1"
+    parts = parts.filter(seg => !/^\d+$/.test(seg));
 
-// --- state ---
-let currentPoints = [];
-let domainFolders = new Map();    // domain -> [{folder_path, bookmark_count}, ...]
-let folderToDomains = new Map();  // folder_path -> [domain...]
-let domainsOnGlobe = new Set();
-
-// --- world ---
-const world = await d3.json("https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json");
-const countries = feature(world, world.objects.countries);
-
-// --- zoom ---
-const zoom = d3.zoom()
-  .scaleExtent([1, 14])
-  .filter((event) => event.type === "wheel" || event.type.startsWith("touch"))
-  .on("zoom", (event) => {
-    gAll.attr("transform", event.transform);
-    updateUnfoldingAndSizes();
-    if (popup.style.display === "block" && popup.__anchor) positionPopupAtAnchor(popup.__anchor);
-  })
-  .on("end", (event) => {
-    const t = event.transform;
-    const nearBaseZoom = t.k <= 1.001;
-    const panned = Math.abs(t.x) > 2 || Math.abs(t.y) > 2;
-    if (nearBaseZoom && panned) svg.transition().duration(180).call(zoom.transform, d3.zoomIdentity);
-  });
-
-svg.call(zoom);
-
-// --- draw world ---
-function drawWorld() {
-  gLand.selectAll("*").remove();
-
-  gLand.append("path")
-    .datum({type:"Sphere"})
-    .attr("d", path)
-    .attr("fill", "#f6f6f6")
-    .attr("stroke", "#999")
-    .attr("stroke-width", 0.8);
-
-  gLand.append("path")
-    .datum(graticule)
-    .attr("d", path)
-    .attr("fill", "none")
-    .attr("stroke", "#dddddd")
-    .attr("stroke-width", 0.6);
-
-  gLand.selectAll("path.country")
-    .data(countries.features)
-    .join("path")
-    .attr("d", path)
-    .attr("fill", "#ffffff")
-    .attr("stroke", "#c8c8c8")
-    .attr("stroke-width", 0.6);
-}
+    // drop root containers (common names in exports)
+    const DROP = new Set([
+      "bookmark bar",
+      "bookmarks bar",
+      "bookmarks toolbar",
+      "favorites bar",
+      "other bookmarks",
+      "mobile bookmarks"
+    ]);
 
-// --- tooltip ---
-function showTip(evt, d) {
-  tip.style.display = "block";
-  tip.innerHTML = `<b>${d.domain}</b><br>${d.host_edge}`;
-  tip.style.left = (evt.clientX + 12) + "px";
-  tip.style.top  = (evt.clientY + 12) + "px";
-}
+    // remove them anywhere they appear
+    parts = parts.filter(seg => !DROP.has(seg.toLowerCase()));
 
-function moveTip(evt) {
-  tip.style.left = (evt.clientX + 12) + "px";
-  tip.style.top  = (evt.clientY + 12) + "px";
-}
-function hideTip() { tip.style.display = "none"; }
+    return parts.join(" / ");
+  }
 
-// --- projection helpers ---
-function projectPoint(d) {
-  const p = projection([d.lon, d.lat]);
-  if (!p) return null;
+  // "bbc.co.uk" -> "bbc", "data.cityofnewyork.us" -> "cityofnewyork"
+  function domainName(domain) {
+    const parts = (domain || "").split(".").filter(Boolean);
+    if (parts.length < 2) return parts[0] || "";
+    const sld = parts[parts.length - 2];
+    const secondLevel = parts.length >= 3 && parts[parts.length - 1].length === 2 && sld.length <= 3;
+    return secondLevel ? parts[parts.length - 3] : sld;
+  }
 
-  if (projection.clipAngle && projection.clipAngle() === 90) {
-    const center = projection.invert([w/2, h/2]);
-    if (center) {
-      const a = d3.geoDistance([d.lon, d.lat], center);
-      if (a > Math.PI / 2 + 1e-6) return null;
+  function ruleMatches(rule, domain, orgU, asn) {
+    if (rule.asn.has(asn)) return true;
+    if (rule.org.some(kw => orgU.includes(kw))) return true;
+    if (rule.domain.some(kw => domain.includes(kw))) return true;
+    if (rule.domainSuffix.some(sfx => domain === sfx.replace(/^\./, "") || domain.endsWith(sfx.startsWith(".") ? sfx : "." + sfx))) return true;
+    if (rule.orgMatchesDomain) {
+      const name = domainName(domain).toUpperCase();
+      if (name.length >= 4 && orgU.includes(name)) return true;
     }
+    return false;
   }
-  return p;
-}
 
-function drawGentMarker() {
-  const p = projectPoint({ lon: GENT[0], lat: GENT[1] });
-  if (!p) return;
-
-  gPts.append("circle")
-    .attr("class", "gent")
-    .attr("cx", p[0]).attr("cy", p[1])
-    .attr("r", DOT_RADIUS)
-    .attr("fill", "#d100d1");
-
-  gPts.append("text")
-    .attr("class", "gentlabel")
-    .attr("x", p[0] + 7).attr("y", p[1] + 4)
-    .text("Gent")
-    .attr("font-size", 11)
-    .attr("fill", "#d100d1")
-    .attr("font-weight", 700);
-}
+  // first matching rule wins (see hosting_rules.json)
+  function classifyHostEdge(domain, org, asn = "") {
+    if (!org) return hostingRules.unknown;
+    const d = (domain || "").toLowerCase();
+    const orgU = org.toUpperCase();
+    const a = String(asn || "").replace(/^AS/i, "");
 
-// --- popup sizing fix ---
-function syncPopupBodyHeight() {
-  // compute body height based on actual rendered header height
-  const totalH = popup.getBoundingClientRect().height;
-  const headerH = popHeader.getBoundingClientRect().height;
-  const bodyH = Math.max(120, totalH - headerH); // keep sane minimum
-  popBody.style.height = bodyH + "px";
-  popFrame.style.height = bodyH + "px";
-}
+    for (const rule of hostingRules.rules) {
+      if (ruleMatches(rule, d, orgU, a)) return rule.category;
+    }
+    return hostingRules.fallback;
+  }
 
-function closePopup() {
-  popup.style.display = "none";
-  popup.__domain = null;
-  popup.__anchor = null;
-  popFrame.src = "about:blank";
-}
-popClose.addEventListener("click", closePopup);
-window.addEventListener("keydown", (e) => { if (e.key === "Escape") closePopup(); });
-window.addEventListener("mousedown", (e) => {
-  if (popup.style.display === "block" && !popup.contains(e.target)) closePopup();
-});
+  // bookmark exports store seconds since epoch
+  function parseEpoch(v) {
+    const n = +v;
+    return Number.isFinite(n) && n > 0 ? new Date(n * 1000) : null;
+  }
+
+  function formatDate(date) {
+    return date ? date.toISOString().slice(0, 10) : "";
+  }
+
+  function escapeHtml(v) {
+    return String(v ?? "").replace(/[&<>"']/g, c => (
+      { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]
+    ));
+  }
+
+  function refusesFraming(domain) {
+    return NO_FRAME_DOMAINS.some(s => domain === s || domain.endsWith("." + s));
+  }
 
-function positionPopupAtAnchor(anchor) {
-  const t = d3.zoomTransform(svg.node());
-  const x = anchor[0] * t.k + t.x;
-  const y = anchor[1] * t.k + t.y;
+  function atlasCountryName(geoCountry) {
+    const raw = (geoCountry || "").trim();
+    return COUNTRY_ALIASES.get(raw.toLowerCase()) ?? raw;
+  }
 
-  const pad = 12;
-  let left = x + pad;
-  let top  = y - pad;
+  // too small for the 110m atlas (Singapore, Malta, …): no shape to shade in the choropleth
+  function lacksCountryShape(d) {
+    return !!d.geo_country && atlasNames.size > 0 && !atlasNames.has(atlasCountryName(d.geo_country));
+  }
 
-  const pw = popup.offsetWidth || 560;
-  const ph = popup.offsetHeight || 360;
+  // --- DOM ---
+  let w = root.clientWidth, h = root.clientHeight;
+  const DPR = window.devicePixelRatio || 1;
 
-  const maxLeft = w - pw - 10;
-  const maxTop  = h - ph - 10;
+  // "canvas" (default) repaints one bitmap per frame; "svg" keeps the DOM layers (?renderer=svg)
+  let renderer = (options.renderer || new URLSearchParams(location.search).get("renderer")) === "svg" ? "svg" : "canvas";
 
-  if (left > maxLeft) left = x - pw - pad;
-  if (top < 10) top = 10;
-  if (top > maxTop) top = maxTop;
+  const canvas = d3.select(part("vis")).append("canvas");
+  const ctx = canvas.node().getContext("2d");
 
-  popup.style.left = `${left}px`;
-  popup.style.top  = `${top}px`;
-}
+  // the svg stays on top: it carries zoom + drag, and holds the layers in svg mode
+  const svg = d3.select(part("vis")).append("svg")
+    .attr("width", w)
+    .attr("height", h);
 
-function renderAllFoldersInHeader(domain) {
-  const folders = domainFolders.get(domain);
-  if (!folders || !folders.length) {
-    popFoldersWrap.innerHTML = `<div style="opacity:.7">No folder data</div>`;
-    popFoldersWrap.title = "";
-    return;
+  function sizeCanvas() {
+    canvas
+      .attr("width", Math.round(w * DPR))
+      .attr("height", Math.round(h * DPR))
+      .style("width", w + "px")
+      .style("height", h + "px");
   }
+  sizeCanvas();
 
-  // Convert to relative folder names (under Citography), remove empties, de-duplicate
-  const rel = folders
-    .map(f => folderPathRelativeToCitography(f.folder_path))
-    .filter(Boolean);
+  const gAll = svg.append("g");
+  const gLand = gAll.append("g");
+  const gArcs = gAll.append("g");
+  const gPts  = gAll.append("g");
 
-  const unique = Array.from(new Set(rel)).sort((a,b) => a.localeCompare(b));
+  const tip = part("tip");
+  const btnAuto = part("autorotate");
 
-  popFoldersWrap.innerHTML = unique.map(path => `
-    <div class="folderLine">
-      <span class="folderPath">${path}</span>
-    </div>
-  `).join("");
+  const popup = part("mapPopup");
+  const popHeader = part("mapPopupHeader");
+  const popBody   = part("mapPopupBody");
+  const popDomain = part("popDomain");
+  const popTag = part("popTag");
+  const popLink = part("popLink");
+  const popFrame = part("mapPopupFrame");
+  const popFoldersWrap = part("popFoldersWrap");
+  const popKm = part("popKm");
+  const popView = part("popView");
+  const popCard = part("mapPopupCard");
+  const popClose = part("mapPopupClose");
 
-  popFoldersWrap.title = unique.join("\n");
-}
+  const siteScroll = part("siteScroll");
+  const siteCount = part("siteCount");
 
-function folderPathRelativeToCitography(fp) {
-  const raw = (fp || "").toString().trim();
-  if (!raw) return "";
+  const graticule = d3.geoGraticule10();
 
-  // normalize separators to " / "
-  const norm = raw
-    .replace(/\r?\n+/g, " / ")
-    .replace(/\s*>\s*/g, " / ")
-    .replace(/\\/g, " / ")
-    .replace(/\s*\/\s*/g, " / ")
-    .replace(/\s+/g, " ")
-    .trim();
 
-  const parts = norm.split(" / ").map(s => s.trim()).filter(Boolean);
-  const idx = parts.findIndex(p => p.toLowerCase() === "citography");
+  // --- home location ---
+  let home = { ...DEFAULT_HOME };   // {name, lon, lat}
 
-  // keep only what's under Citography
-  const rel = idx >= 0 ? parts.slice(idx + 1) : parts;
+  // --- projection ---
+  let projection = d3.geoOrthographic().rotate([-home.lon, -home.lat]).clipAngle(90);
+  let path = d3.geoPath(projection);
 
-  return rel.join(" / ");
-}
+  function forceCenter() {
+    if (projection.translate) projection.translate([w/2, h/2]);
+  }
 
-function openPopupForPoint(d) {
-  const p = projectPoint(d);
-  if (!p) return;
+  function setProjection(kind, countries) {
+    if (kind === "airocean") projection = geoAirocean();
+    else if (kind === "equalEarth") projection = d3.geoEqualEarth();
+    else projection = d3.geoOrthographic().rotate([-home.lon, -home.lat]).clipAngle(90);
 
-  popDomain.textContent = d.domain;
-  popTag.textContent = `${d.host_edge}`;
-  popTag.style.color = COLOR(d.host_edge);
+    try { projection.fitSize([w, h], countries.features.length ? countries : { type: "Sphere" }); }
+    catch { projection.scale(Math.min(w, h) / 2.2).translate([w/2, h/2]); }
 
-  // renderAllFoldersInHeader(d.domain);
-  popFoldersWrap.innerHTML = "";
+    if (projection.scale) projection.scale(projection.scale() * GLOBE_SHRINK);
+    forceCenter();
+    path = d3.geoPath(projection);
+  }
 
-  popLink.href = "https://" + d.domain;
-  popFrame.src = "https://" + d.domain;
+  // --- state ---
+  let allPoints = [];               // every located point from the hostmap
+  let currentPoints = [];           // points currently drawn (after filters)
+  let domainFolders = new Map();    // domain -> [{folder_path, bookmark_count}, ...]
+  let folderToDomains = new Map();  // folder_path -> [domain...]
+  let domainBookmarks = new Map();  // domain -> [{title, url, folder_path, add_date, last_modified}, ...]
+  let domainsOnGlobe = new Set();
+  let unlocatedDomains = [];        // collection domains without coordinates (listed, not drawn)
 
-  popup.style.display = "block";
-  popup.__domain = d.domain;
-  popup.__anchor = p;
+  // collections = root folders found in the data; several can be shown side by side
+  let collections = [];             // [{ key, name, domains }] sorted by size
+  let selectedRoots = defaultRoots.slice();
+  let colorBy = "class";            // "class" | "collection" (only used when several are selected)
 
-  // IMPORTANT: size body after display is set (so header height is real)
-  syncPopupBodyHeight();
-  positionPopupAtAnchor(p);
-}
+  // --- view mode ---
+  let viewMode = "dots";            // "dots" | "countryDomains" | "countryBookmarks"
+  let countryAgg = new Map();       // atlas country name -> {domains, bookmarks}
 
-// --- highlighting ---
-function clearHighlight() {
-  gPts.selectAll("circle.site")
-    .attr("data-hl", "0")
-    .attr("stroke", "none")
-    .attr("data-sw", 0)
-    .attr("fill-opacity", 0.85);
-  applyConstantDotSize();
-}
-function highlightDomain(domain) {
-  clearHighlight();
-  const sel = gPts.selectAll("circle.site").filter(d => d.domain === domain);
-  sel.raise()
-    .attr("data-hl", "1")
-    .attr("stroke", "#d100d1")
-    .attr("data-sw", 1.4)
-    .attr("fill-opacity", 1.0);
-  sel.attr("data-rboost", 2.2);
-  applyConstantDotSize();
-}
+  let arcMode = "off";              // "off" | "domains" | "bookmarks"
+  let arcDestinations = [];         // [{lon, lat, city, country, domains, bookmarks, km}]
 
-// --- sites list grouped by folder ---
-function buildSitesGroupedByFolder() {
-  siteScroll.innerHTML = "";
+  let highlighted = new Set();      // domains drawn with the magenta ring
 
-  const folders = Array.from(folderToDomains.keys()).sort((a,b) => a.localeCompare(b));
-  let totalSites = 0;
+  let clusters = [];                // [{key, lon, lat, members, spider}] co-located groups
+  let drawnUnfolded = false;        // zoom side of UNFOLD_ZOOM_K the svg dots were built for
+  let spiderKey = null;             // location key of the spiderfied cluster
 
-  for (const folder of folders) {
-    const doms = folderToDomains.get(folder) || [];
-    if (!doms.length) continue;
-    totalSites += doms.length;
+  function isChoropleth() {
+    return viewMode === "countryDomains" || viewMode === "countryBookmarks";
+  }
 
-    const grp = document.createElement("div");
-    grp.className = "folderGroup";
+  function countryValue(agg) {
+    if (!agg) return 0;
+    return viewMode === "countryBookmarks" ? agg.bookmarks : agg.domains;
+  }
 
-    const title = document.createElement("div");
-    title.className = "folderTitle";
-    title.textContent = folder;
-    title.title = folder;
-    grp.appendChild(title);
+  // --- filters ---
+  const filters = {
+    query: "",                      // free-text search (domain, org, ASN, country, folder)
+    hiddenClasses: new Set(),       // hosting classes toggled off in the legend
+    classMode: "hide",              // "hide" removes toggled classes, "dim" fades them
+    until: null,                    // Date: only domains first bookmarked up to then (timeline)
+    folder: null,                   // folder path: only domains in that subtree (Sites tree)
+    stat: null                      // { kind, key, label }: bar clicked in the statistics panel
+  };
+
+  let folderFilterSet = null;       // domains under filters.folder (null = no folder filter)
+
+  function searchHaystack(d) {
+    const folders = (domainFolders.get(d.domain) || []).map(f => f.folder_path).join(" ");
+    return [d.domain, d.org, d.asn ? "AS" + d.asn : "", d.geo_country, folders]
+      .join(" ")
+      .toLowerCase();
+  }
+
+  // every whitespace-separated term must match somewhere ("amazon ireland")
+  function matchesQuery(d, query) {
+    const terms = (query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) return true;
+    const hay = d.__hay ?? (d.__hay = searchHaystack(d));
+    return terms.every(t => hay.includes(t));
+  }
 
-    for (const dom of doms) {
-      const div = document.createElement("div");
-      div.className = "siteItem";
-      div.textContent = dom;
+  // `skip` leaves one filter out (used for the live per-class legend counts)
+  function pointMatchesFilters(d, skip = null) {
+    if (skip !== "query" && !matchesQuery(d, filters.query)) return false;
+    if (skip !== "class" && filters.classMode === "hide" && filters.hiddenClasses.has(d.host_edge)) return false;
+    if (skip !== "time" && filters.until && !(d.first_added && d.first_added <= filters.until)) return false;
+    if (skip !== "folder" && folderFilterSet && !folderFilterSet.has(d.domain)) return false;
+    if (skip !== "stat" && filters.stat && !statMatches(d, filters.stat)) return false;
+    return true;
+  }
 
-      div.addEventListener("mouseenter", () => { highlightDomain(dom); stopAutoRotate(); });
-      div.addEventListener("mouseleave", () => {
-        clearHighlight();
-        if (userWantsAuto && popup.style.display !== "block") startAutoRotate();
-      });
-      div.addEventListener("click", () => {
-        const p = currentPoints.find(x => x.domain === dom);
-        if (p) openPopupForPoint(p);
-      });
+  function isDimmed(d) {
+    return filters.classMode === "dim" && filters.hiddenClasses.has(d.host_edge);
+  }
 
-      grp.appendChild(div);
-    }
+  // while comparing snapshots, unchanged dots fade so the changes stand out
+  function dotOpacity(d) {
+    return isDimmed(d) || (snapshot && !isChanged(d)) ? DIM_OPACITY : DOT_OPACITY;
+  }
 
-    siteScroll.appendChild(grp);
+  function hasActiveFilters() {
+    return !!filters.query.trim() ||
+      (filters.classMode === "hide" && filters.hiddenClasses.size > 0) ||
+      !!filters.until ||
+      !!filters.folder ||
+      !!filters.stat;
   }
 
-  siteCount.textContent = `${totalSites}`;
-}
+  // --- load errors (panel listing every file that failed, with what still works) ---
+  const loadErrorPanel = part("loadError");
+  let loadErrors = [];
 
-// --- constant dot size ---
-function applyConstantDotSize() {
-  const t = d3.zoomTransform(svg.node());
-  const k = t.k || 1;
+  function noteLoadError(what, url, err, effect) {
+    console.warn(`${what} not loaded (${url}):`, err);
+    loadErrors = loadErrors.filter(e => e.url !== url).concat({ what, url, message: err?.message || String(err), effect });
+    renderLoadErrors();
+  }
 
-  gPts.selectAll("circle.site").each(function() {
-    const el = d3.select(this);
-    const boost = +el.attr("data-rboost") || 0;
-    el.attr("r", (DOT_RADIUS + boost) / k);
+  function renderLoadErrors() {
+    part("loadErrorList").innerHTML = loadErrors.map(e =>
+      `<li><b>${escapeHtml(e.what)}</b> <code>${escapeHtml(e.url)}</code><br>${escapeHtml(e.message)}${e.effect ? ` — ${escapeHtml(e.effect)}` : ""}</li>`
+    ).join("");
+    loadErrorPanel.style.display = loadErrors.length ? "block" : "none";
+  }
 
-    const sw = +el.attr("data-sw") || 0;
-    el.attr("stroke-width", sw / k);
-  });
+  part("loadErrorClose").addEventListener("click", () => { loadErrorPanel.style.display = "none"; });
+  part("loadErrorRetry").addEventListener("click", () => retryLoad());
+
+  // --- world ---
+  // without the atlas the dots still go on a bare sphere
+  let countries = { type: "FeatureCollection", features: [] };
+  let atlasNames = new Set();       // country names that have a shape in the atlas
+
+  async function loadAtlas() {
+    try {
+      const world = await d3.json(urls.atlas);
+      countries = feature(world, world.objects.countries);
+      atlasNames = new Set(countries.features.map(f => f.properties.name));
+      return true;
+    } catch (e) {
+      noteLoadError("World map", urls.atlas, e, "sites are shown without country outlines");
+      return false;
+    }
+  }
 
-  gPts.selectAll("circle.gent").attr("r", DOT_RADIUS / k);
-  gPts.selectAll("text.gentlabel").attr("font-size", 11 / k);
-}
+  await loadAtlas();
+
+  // --- zoom ---
+  const zoom = d3.zoom()
+    .scaleExtent([1, 14])
+    .filter((event) => event.type === "wheel" || event.type.startsWith("touch"))
+    .on("zoom", (event) => {
+      gAll.attr("transform", event.transform);
+      updateUnfoldingAndSizes();
+      if (popup.style.display === "block" && popup.__anchor) positionPopupAtAnchor(popup.__anchor);
+    })
+    .on("end", (event) => {
+      const t = event.transform;
+      const nearBaseZoom = t.k <= 1.001;
+      const panned = Math.abs(t.x) > 2 || Math.abs(t.y) > 2;
+      if (nearBaseZoom && panned) svg.transition().duration(180).call(zoom.transform, d3.zoomIdentity);
+      scheduleHashUpdate();
+    });
 
-// --- unfolding ---
-function hash01(str) {
-  let h = 2166136261;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
+  svg.call(zoom);
+
+  // --- draw world ---
+  function drawWorld() {
+    gLand.selectAll("*").remove();
+
+    gLand.append("path")
+      .datum({type:"Sphere"})
+      .attr("d", path)
+      .attr("fill", "#f6f6f6")
+      .attr("stroke", "#999")
+      .attr("stroke-width", 0.8);
+
+    gLand.append("path")
+      .datum(graticule)
+      .attr("d", path)
+      .attr("fill", "none")
+      .attr("stroke", "#dddddd")
+      .attr("stroke-width", 0.6);
+
+    const countryPaths = gLand.selectAll("path.country")
+      .data(countries.features)
+      .join("path")
+      .attr("class", "country")
+      .attr("d", path)
+      .attr("fill", countryFillFn())
+      .attr("stroke", "#c8c8c8")
+      .attr("stroke-width", 0.6);
+
+    if (isChoropleth()) {
+      countryPaths
+        .on("mouseenter", (evt, f) => { showCountryTip(evt, f); stopAutoRotate(); })
+        .on("mousemove", moveTip)
+        .on("mouseleave", () => { hideTip(); if (popup.style.display !== "block") startAutoRotate(); });
+    }
   }
-  return (h >>> 0) / 4294967295;
-}
 
-function computeUnfoldedPositions(points) {
-  const t = d3.zoomTransform(svg.node());
-  const k = t.k || 1;
-  const unfold = k >= UNFOLD_ZOOM_K;
+  // feature -> fill; plain white land unless a choropleth view is active
+  function countryFillFn() {
+    if (!isChoropleth()) return () => "#ffffff";
 
-  const groups = new Map();
-  for (const d of points) {
-    const key = `${(+d.lat).toFixed(6)},${(+d.lon).toFixed(6)}`;
-    if (!groups.has(key)) groups.set(key, []);
-    groups.get(key).push(d);
+    const max = d3.max(countryAgg.values(), countryValue) || 1;
+    const color = d3.scaleSequentialSqrt(RAMP).domain([0, max]);
+    return f => {
+      const v = countryValue(countryAgg.get(f.properties.name));
+      return v > 0 ? color(v) : "#ffffff";
+    };
   }
 
-  for (const [, arr] of groups.entries()) {
-    if (!unfold || arr.length <= 1) {
-      for (const d of arr) { d.__dx = 0; d.__dy = 0; }
-      continue;
+  // aggregate the visible points per country (dimmed classes don't count)
+  function computeCountryAgg(points) {
+    countryAgg = new Map();
+    for (const d of points) {
+      if (isDimmed(d) || !d.geo_country) continue;
+      const name = atlasCountryName(d.geo_country);
+      if (!countryAgg.has(name)) countryAgg.set(name, { domains: 0, bookmarks: 0, label: d.geo_country });
+      const agg = countryAgg.get(name);
+      agg.domains += 1;
+      agg.bookmarks += d.bookmark_count || 0;
     }
+  }
 
-    const cloudR = Math.min(UNFOLD_MAX_PX, UNFOLD_BASE_PX + Math.sqrt(arr.length) * 10);
-    const golden = 2.399963229728653;
+  // --- flow arcs (home -> hosting locations) ---
+  function distanceFromHomeKm(lon, lat) {
+    return d3.geoDistance([home.lon, home.lat], [lon, lat]) * EARTH_RADIUS_KM;
+  }
 
-    arr.forEach((d, i) => {
-      const r1 = hash01(d.domain || String(i));
-      const r2 = hash01((d.domain || String(i)) + "#");
+  // cached on each point; snapshot-only (removed) points are measured on the fly
+  function homeKm(d) {
+    return d.home_km ?? distanceFromHomeKm(d.lon, d.lat);
+  }
 
-      const r = cloudR * Math.sqrt((i + 0.35) / arr.length);
-      const a = i * golden + (r1 - 0.5) * 0.8;
-      const j = (r2 - 0.5) * (cloudR * 0.18);
+  function updateHomeDistances() {
+    for (const d of allPoints) d.home_km = distanceFromHomeKm(d.lon, d.lat);
+  }
 
-      d.__dx = Math.cos(a) * r + j;
-      d.__dy = Math.sin(a) * r - j;
-    });
+  function formatKm(km) {
+    return `${Math.round(km).toLocaleString()} km`;
   }
-}
 
-function pointTransformWithUnfold(d) {
-  const p = projectPoint(d);
-  if (!p) return "translate(-999,-999)";
+  // one destination per distinct location; dimmed classes don't count
+  function computeArcDestinations(points) {
+    const byLoc = new Map();
+    for (const d of points) {
+      if (isDimmed(d)) continue;
+      const key = `${(+d.lat).toFixed(4)},${(+d.lon).toFixed(4)}`;
+      if (!byLoc.has(key)) {
+        byLoc.set(key, {
+          lon: d.lon, lat: d.lat,
+          city: d.geo_city, country: d.geo_country,
+          domains: 0, bookmarks: 0,
+          km: homeKm(d)
+        });
+      }
+      const dest = byLoc.get(key);
+      dest.domains += 1;
+      dest.bookmarks += d.bookmark_count || 0;
+    }
+    arcDestinations = Array.from(byLoc.values());
+  }
 
-  const t = d3.zoomTransform(svg.node());
-  const k = t.k || 1;
+  function arcWeight(dest) {
+    return arcMode === "bookmarks" ? dest.bookmarks : dest.domains;
+  }
 
-  const dx = (d.__dx || 0) / k;
-  const dy = (d.__dy || 0) / k;
+  function arcsVisible() {
+    return arcMode !== "off" && !isChoropleth() && arcDestinations.length > 0;
+  }
 
-  return `translate(${p[0] + dx},${p[1] + dy})`;
-}
+  // drawable arcs, lightest first, each with its stroke width in screen px
+  function arcsToDraw() {
+    const max = d3.max(arcDestinations, arcWeight) || 1;
+    const width = d3.scaleSqrt().domain([1, max]).range([ARC_MIN_PX, ARC_MAX_PX]).clamp(true);
 
-function updateUnfoldingAndSizes() {
-  if (!currentPoints || currentPoints.length === 0) return;
-  computeUnfoldedPositions(currentPoints);
-  gPts.selectAll("circle.site").attr("transform", d => pointTransformWithUnfold(d));
-  applyConstantDotSize();
-}
+    return arcDestinations
+      .filter(dest => dest.km > 1)
+      .sort((a, b) => arcWeight(a) - arcWeight(b))
+      .map(dest => ({ dest, sw: width(arcWeight(dest)) }));
+  }
 
-// --- points ---
-function drawPoints(points) {
-  currentPoints = points;
-
-  computeUnfoldedPositions(points);
-  gPts.selectAll("*").remove();
-
-  gPts.selectAll("circle.site")
-    .data(points)
-    .join("circle")
-    .attr("class", "site")
-    .attr("data-sw", 0)
-    .attr("data-rboost", 0)
-    .attr("transform", d => pointTransformWithUnfold(d))
-    .attr("r", DOT_RADIUS)
-    .attr("fill", d => COLOR(d.host_edge))
-    .attr("fill-opacity", 0.85)
-    .style("cursor", "pointer")
-    .on("mouseenter", (evt,d) => { showTip(evt,d); stopAutoRotate(); })
-    .on("mousemove", moveTip)
-    .on("mouseleave", () => { hideTip(); if (popup.style.display !== "block") startAutoRotate(); })
-    .on("click", (evt,d) => { evt.preventDefault?.(); evt.stopPropagation?.(); openPopupForPoint(d); });
-
-  drawGentMarker();
-  applyConstantDotSize();
-}
+  // LineStrings are drawn as great circles and clipped by the projection itself
+  function arcGeometry(dest) {
+    return { type: "LineString", coordinates: [[home.lon, home.lat], [dest.lon, dest.lat]] };
+  }
 
-function redraw() {
-  drawWorld();
-  drawPoints(currentPoints);
-
-  if (popup.style.display === "block" && popup.__domain) {
-    const found = currentPoints.find(x => x.domain === popup.__domain);
-    if (found) {
-      const np = projectPoint(found);
-      if (np) {
-        popup.__anchor = np;
-        syncPopupBodyHeight();
-        positionPopupAtAnchor(np);
-      } else {
-        closePopup();
+  function drawArcs() {
+    gArcs.selectAll("*").remove();
+
+    // snapshot comparison: old -> new position
+    gArcs.selectAll("path.moveArc")
+      .data(moveArcsToDraw())
+      .join("path")
+      .attr("class", "arc moveArc")
+      .attr("d", a => path(a.geometry))
+      .attr("fill", "none")
+      .attr("stroke", CHANGE_STYLES.relocated.color)
+      .attr("stroke-opacity", 0.6)
+      .attr("data-sw", 1);
+
+    if (!arcsVisible()) { applyConstantDotSize(); return; }
+
+    gArcs.selectAll("path.flow")
+      .data(arcsToDraw())
+      .join("path")
+      .attr("class", "arc flow")
+      .attr("d", a => path(arcGeometry(a.dest)))
+      .attr("fill", "none")
+      .attr("stroke", ARC_COLOR)
+      .attr("stroke-opacity", 0.35)
+      .attr("stroke-linecap", "round")
+      .attr("data-sw", a => a.sw)
+      .on("mouseenter", (evt, a) => { showArcTip(evt, a.dest); stopAutoRotate(); })
+      .on("mousemove", moveTip)
+      .on("mouseleave", () => { hideTip(); if (popup.style.display !== "block") startAutoRotate(); });
+
+    applyConstantDotSize();
+  }
+
+  // --- tooltip ---
+  let hovered = null;               // domain last reported to "hover" listeners
+
+  function emitHover(d) {
+    if ((d?.domain ?? null) === hovered) return;
+    hovered = d?.domain ?? null;
+    events.call("hover", root, d);
+  }
+
+  function showTip(evt, d) {
+    emitHover(d);
+    tip.style.display = "block";
+    const cols = selectedRoots.length > 1 && d.collections?.length ? `<br>${escapeHtml(d.collections.map(collectionName).join(" + "))}` : "";
+    const change = isChanged(d) ? `<br>${changeNote(d).map(escapeHtml).join("<br>")}` : "";
+    tip.innerHTML = `<b>${escapeHtml(d.domain)}</b><br>${escapeHtml(classLabel(d.host_edge))}<br>${formatKm(homeKm(d))} from ${escapeHtml(home.name)}${cols}${change}`;
+    tip.style.left = (evt.clientX + 12) + "px";
+    tip.style.top  = (evt.clientY + 12) + "px";
+  }
+
+  function showCountryTip(evt, f) {
+    const agg = countryAgg.get(f.properties.name);
+    tip.style.display = "block";
+    tip.innerHTML = agg
+      ? `<b>${f.properties.name}</b><br>${agg.domains} domains · ${agg.bookmarks} bookmarks`
+      : `<b>${f.properties.name}</b><br>no domains`;
+    moveTip(evt);
+  }
+
+  function showArcTip(evt, dest) {
+    const where = [dest.city, dest.country].filter(Boolean).join(", ") || "Unknown location";
+    tip.style.display = "block";
+    tip.innerHTML = `<b>${escapeHtml(home.name)} → ${escapeHtml(where)}</b><br>${dest.domains} domains · ${dest.bookmarks} bookmarks<br>${Math.round(dest.km).toLocaleString()} km`;
+    moveTip(evt);
+  }
+
+  function showClusterTip(evt, c) {
+    const d0 = c.members[0];
+    const where = [d0.geo_city, d0.geo_country].filter(Boolean).join(", ") || "Unknown location";
+    const mix = clusterMix(c).map(m => `${m.n} ${colorKeyLabel(m.key)}`).join(" · ");
+    tip.style.display = "block";
+    tip.innerHTML = `<b>${c.members.length} domains</b><br>${escapeHtml(where)}<br>${escapeHtml(mix)}<br><span style="opacity:.65">${c.spider ? "click to collapse" : "click to spread out"}</span>`;
+    moveTip(evt);
+  }
+
+  function moveTip(evt) {
+    tip.style.left = (evt.clientX + 12) + "px";
+    tip.style.top  = (evt.clientY + 12) + "px";
+  }
+  function hideTip() {
+    tip.style.display = "none";
+    emitHover(null);
+  }
+
+  // --- projection helpers ---
+  function projectPoint(d) {
+    const p = projection([d.lon, d.lat]);
+    if (!p) return null;
+
+    if (projection.clipAngle && projection.clipAngle() === 90) {
+      const center = projection.invert([w/2, h/2]);
+      if (center) {
+        const a = d3.geoDistance([d.lon, d.lat], center);
+        if (a > Math.PI / 2 + 1e-6) return null;
       }
     }
+    return p;
   }
-}
 
-// --- auto rotate ---
-let userWantsAuto = true;
-let rotating = false;
-let timer = null;
+  function isGlobe() {
+    return !!(projection.clipAngle && projection.clipAngle() === 90);
+  }
 
-function startAutoRotate() {
-  if (!userWantsAuto) return;
-  if (timer) return;
-  rotating = true;
-  btnAuto.classList.add("on");
+  // visible on the globe AND inside the viewport at the current zoom
+  function isOnScreen(d, margin = 20) {
+    const p = projectPoint(d);
+    if (!p) return false;
 
-  timer = d3.timer(() => {
-    if (!rotating || !projection.rotate) return;
-    const r = projection.rotate();
-    projection.rotate([r[0] + ROTATE_STEP, r[1], r[2] || 0]);
-    path = d3.geoPath(projection);
-    redraw();
+    const t = d3.zoomTransform(svg.node());
+    const x = p[0] * t.k + t.x;
+    const y = p[1] * t.k + t.y;
+    return x >= margin && x <= w - margin && y >= margin && y <= h - margin;
+  }
+
+  function drawHomeMarker() {
+    const p = projectPoint(home);
+    if (!p) return;
+
+    gPts.append("circle")
+      .attr("class", "home")
+      .attr("cx", p[0]).attr("cy", p[1])
+      .attr("r", DOT_RADIUS)
+      .attr("fill", "#d100d1");
+
+    gPts.append("text")
+      .attr("class", "homelabel")
+      .attr("x", p[0] + 7).attr("y", p[1] + 4)
+      .text(home.name)
+      .attr("font-size", 11)
+      .attr("fill", "#d100d1")
+      .attr("font-weight", 700);
+  }
+
+  // --- popup sizing fix ---
+  function syncPopupBodyHeight() {
+    // compute body height based on actual rendered header height
+    const totalH = popup.getBoundingClientRect().height;
+    const headerH = popHeader.getBoundingClientRect().height;
+    const bodyH = Math.max(120, totalH - headerH); // keep sane minimum
+    popBody.style.height = bodyH + "px";
+    popFrame.style.height = bodyH + "px";
+  }
+
+  function closePopup() {
+    const wasOpen = !!popup.__domain;
+    popup.style.display = "none";
+    popup.__domain = null;
+    popup.__anchor = null;
+    popFrame.src = "about:blank";
+    clearTimeout(frameTimer);
+    setPopupView("frame");
+    scheduleHashUpdate();
+    if (wasOpen) events.call("select", root, null);
+  }
+  popClose.addEventListener("click", closePopup);
+  listen(window, "keydown", (e) => {
+    if (e.key !== "Escape") return;
+    if (popup.style.display === "block") closePopup();
+    else collapseSpider();
+  });
+  listen(window, "mousedown", (e) => {
+    if (popup.style.display === "block" && !popup.contains(e.target)) closePopup();
   });
-}
 
-function stopAutoRotate() {
-  rotating = false;
-  btnAuto.classList.remove("on");
-  if (timer) { timer.stop(); timer = null; }
-}
+  function positionPopupAtAnchor(anchor) {
+    const t = d3.zoomTransform(svg.node());
+    const x = anchor[0] * t.k + t.x;
+    const y = anchor[1] * t.k + t.y;
 
-btnAuto.addEventListener("click", () => {
-  userWantsAuto = !userWantsAuto;
-  if (userWantsAuto) startAutoRotate();
-  else stopAutoRotate();
-});
-
-// drag rotate
-let last = null;
-let wasRotatingBeforeDrag = false;
-svg.call(
-  d3.drag()
-    .on("start", (event) => { last = [event.x, event.y]; wasRotatingBeforeDrag = rotating; stopAutoRotate(); })
-    .on("drag", (event) => {
-      event.sourceEvent?.preventDefault?.();
-      if (!last || !projection.rotate) return;
-
-      const dx = event.x - last[0];
-      const dy = event.y - last[1];
-      last = [event.x, event.y];
-
-      const k = 0.25;
-      const r = projection.rotate();
-      projection.rotate([r[0] + dx * k, r[1] - dy * k, r[2] || 0]);
-      path = d3.geoPath(projection);
-      redraw();
-    })
-    .on("end", () => { last = null; if (wasRotatingBeforeDrag) startAutoRotate(); })
-);
-
-// --- data load ---
-async function loadData() {
-  // 1) Load hostmap CSV (defines what can appear on the globe)
-  const hostRows = await d3.csv(DATA_CSV);
-
-  // Domains on globe (normalized, no www.)
-  domainsOnGlobe = new Set(
-    hostRows.map(r => normalizeDomain(r.domain ?? r.Domain ?? r.host ?? r.hostname ?? ""))
-            .filter(Boolean)
-  );
+    const pad = 12;
+    let left = x + pad;
+    let top  = y - pad;
 
-  // Build points (only rows with lat/lon)
-  const pts = hostRows.map(r => {
-    const domain = normalizeDomain(r.domain ?? r.Domain ?? r.host ?? r.hostname ?? "");
-    const org = (r.org ?? r.Org ?? r.owner ?? r.holder ?? "").toString().trim();
+    const pw = popup.offsetWidth || 560;
+    const ph = popup.offsetHeight || 360;
 
-    const lat = +(r.lat ?? r.latitude ?? r.Lat ?? r.Latitude ?? NaN);
-    const lon = +(r.lon ?? r.lng ?? r.longitude ?? r.Lon ?? r.Longitude ?? NaN);
+    const maxLeft = w - pw - 10;
+    const maxTop  = h - ph - 10;
 
-    // tolerate different count fields (bookmark_count preferred)
-    const bm = +(r.bookmark_count ?? r.bookmarks ?? r.count ?? r.visits_last7days ?? 0);
+    if (left > maxLeft) left = x - pw - pad;
+    if (top < 10) top = 10;
+    if (top > maxTop) top = maxTop;
 
-    return {
-      domain,
-      org,
-      geo_country: (r.geo_country ?? r.country ?? r.Country ?? "").toString().trim(),
-      bookmark_count: bm,
-      host_edge: classifyHostEdge(domain, org),
-      lat,
-      lon
-    };
-  }).filter(d =>
-    d.domain &&
-    Number.isFinite(d.lat) &&
-    Number.isFinite(d.lon)
-  );
+    popup.style.left = `${left}px`;
+    popup.style.top  = `${top}px`;
+  }
 
-  // Reset folder maps
-  domainFolders = new Map();
-  folderToDomains = new Map();
+  function renderAllFoldersInHeader(domain) {
+    const folders = domainFolders.get(domain);
+    if (!folders || !folders.length) {
+      popFoldersWrap.innerHTML = `<div style="opacity:.7">No folder data</div>`;
+      popFoldersWrap.title = "";
+      return;
+    }
 
-  // 2) Load folders CSV (optional but needed for grouping + popup folder list)
-  try {
-    const frows = await d3.csv(FOLDERS_CSV, d => {
-      // tolerate different header names
-      const domain = normalizeDomain(
-        d.domain ?? d.Domain ?? d.host ?? d.hostname ?? d.site ?? ""
-      );
+    // Convert to relative folder names (under the collection root), remove empties, de-duplicate
+    const rel = folders
+      .map(f => folderPathRelativeToRoot(f.folder_path))
+      .filter(Boolean);
 
-      const folder_path = cleanFolderPath(
-        (d.folder_path ?? d.folder ?? d.path ?? d.Folder ?? d.FOLDER ?? "").toString()
-        );
+    const unique = Array.from(new Set(rel)).sort((a,b) => a.localeCompare(b));
 
-      const bookmark_count = +(
-        d.bookmark_count ?? d.count ?? d.Count ?? d.n ?? d.N ?? 1
-      );
+    popFoldersWrap.innerHTML = unique.map(path => `
+      <div class="folderLine">
+        <span class="folderPath">${escapeHtml(path)}</span>
+      </div>
+    `).join("");
 
-      return { domain, folder_path, bookmark_count };
-    });
+    popFoldersWrap.title = unique.join("\n");
+  }
 
-    // Filter: only domains that exist on the globe + only Citography folders (anywhere in the path)
-    const cit = frows.filter(r =>
-      r.domain &&
-      domainsOnGlobe.has(r.domain) &&
-      isCitographyFolder(r.folder_path)
-    );
+  // every saved bookmark for the domain, grouped by collection folder (newest first)
+  function renderBookmarksInHeader(domain) {
+    const bms = domainBookmarks.get(domain);
+    if (!bms || !bms.length) {
+      renderAllFoldersInHeader(domain);
+      return;
+    }
 
-    // --- domain -> folders (ALL folders, sorted by count desc) ---
-    const tmpDom = new Map();
-    for (const r of cit) {
-      if (!tmpDom.has(r.domain)) tmpDom.set(r.domain, []);
-      tmpDom.get(r.domain).push({
-        folder_path: r.folder_path,
-        bookmark_count: r.bookmark_count
+    const byFolder = d3.group(bms, b => folderPathRelativeToRoot(b.folder_path) || collectionName(collectionOf(b.folder_path)));
+    const folders = Array.from(byFolder.keys()).sort((a, b) => a.localeCompare(b));
+
+    popFoldersWrap.innerHTML = folders.map(folder => `
+      <div class="bmFolder" title="${escapeHtml(folder)}">${escapeHtml(folder)}</div>
+      ${byFolder.get(folder).map(b => `
+        <div class="bmLine" data-url="${escapeHtml(b.url)}" title="${escapeHtml(b.url)}">
+          <span class="bmDate">${formatDate(b.add_date)}</span>
+          <span class="bmTitle">${escapeHtml(b.title || b.url)}</span>
+        </div>
+      `).join("")}
+    `).join("");
+
+    popFoldersWrap.title = "";
+  }
+
+  popFoldersWrap.addEventListener("click", (e) => {
+    const line = e.target.closest(".bmLine");
+    if (!line || !popup.__domain) return;
+
+    popFoldersWrap.querySelectorAll(".bmLine.on").forEach(el => el.classList.remove("on"));
+    line.classList.add("on");
+
+    // only web addresses: a dropped file could hold javascript: or data: URLs
+    const url = /^https?:\/\//i.test(line.dataset.url) ? line.dataset.url : "https://" + popup.__domain;
+    popLink.href = url;
+    if (refusesFraming(popup.__domain)) {
+      setPopupView("card", "This site is known to refuse being shown inside other pages — use Open.");
+    } else {
+      setPopupView("frame");
+      loadPopupFrame(url);
+    }
+  });
+
+  function folderPathRelativeToRoot(fp) {
+    const raw = (fp || "").toString().trim();
+    if (!raw) return "";
+
+    // normalize separators to " / "
+    const norm = raw
+      .replace(/\r?\n+/g, " / ")
+      .replace(/\s*>\s*/g, " / ")
+      .replace(/\\/g, " / ")
+      .replace(/\s*\/\s*/g, " / ")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    const parts = norm.split(" / ").map(s => s.trim()).filter(Boolean);
+    const idx = parts.findIndex(p => selectedRoots.includes(p.toLowerCase()));
+
+    // keep only what's under the collection root (prefixed with it when several are shown)
+    const rel = idx >= 0 ? parts.slice(idx + 1) : parts;
+    if (idx >= 0 && selectedRoots.length > 1) rel.unshift(parts[idx]);
+
+    return rel.join(" / ");
+  }
+
+  // --- popup: live preview vs metadata card ---
+  let frameTimer = null;
+
+  function setPopupView(view, note = "") {
+    popup.classList.toggle("cardView", view === "card");
+    popView.textContent = view === "card" ? "Live preview" : "Show card";
+    const noteEl = popCard.querySelector(".cardNote");
+    if (noteEl) noteEl.textContent = note;
+  }
+
+  function renderPopupCard(d) {
+    const rows = [
+      ["IPv4", d.ipv4 || "—"],
+      ["ASN", d.asn ? "AS" + d.asn : "—"],
+      ["Org", d.org || "—"],
+      ["City", d.geo_city || "—"],
+      ["Country", d.geo_country || "—"],
+      ["Bookmarks", d.bookmark_count],
+      ["Class", classLabel(d.host_edge)],
+      [`Distance from ${home.name}`, formatKm(homeKm(d))]
+    ];
+
+    popCard.innerHTML = `
+      <div class="cardNote"></div>
+      <dl class="cardGrid">
+        ${rows.map(([k, v]) => `<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(v)}</dd>`).join("")}
+      </dl>`;
+  }
+
+  // a refused frame still fires "load" (with the browser's error page), so only a timeout or
+  // a network error switches to the card here; the frame hint covers the rest
+  function loadPopupFrame(url) {
+    clearTimeout(frameTimer);
+    popFrame.__loaded = false;
+    popFrame.__url = url;
+    popFrame.src = url;
+    frameTimer = setTimeout(() => {
+      if (popup.__domain && popFrame.__url === url && !popFrame.__loaded) {
+        setPopupView("card", "Live preview timed out.");
+      }
+    }, FRAME_TIMEOUT_MS);
+  }
+
+  popFrame.addEventListener("load", () => {
+    if (!popup.__domain || popFrame.src === "about:blank") return;
+    popFrame.__loaded = true;
+    clearTimeout(frameTimer);
+  });
+  popFrame.addEventListener("error", () => {
+    if (popup.__domain) setPopupView("card", "Live preview failed to load.");
+  });
+
+  popView.addEventListener("click", () => {
+    if (!popup.__domain) return;
+    if (popup.classList.contains("cardView")) {
+      setPopupView("frame");
+      if (popFrame.src === "about:blank") loadPopupFrame(popLink.href);
+    } else {
+      setPopupView("card");
+    }
+  });
+
+  function openPopupForPoint(d) {
+    const p = projectPoint(d);
+    if (!p) return;
+
+    popDomain.textContent = d.domain;
+    popTag.textContent = classLabel(d.host_edge);
+    popTag.style.color = COLOR(d.host_edge);
+    popKm.textContent = `${formatKm(homeKm(d))} from ${home.name}`;
+
+    renderBookmarksInHeader(d.domain);
+
+    popLink.href = "https://" + d.domain;
+    renderPopupCard(d);
+    clearTimeout(frameTimer);
+    if (refusesFraming(d.domain)) {
+      popFrame.src = "about:blank";
+      setPopupView("card", "This site is known to refuse being shown inside other pages.");
+    } else {
+      setPopupView("frame");
+      loadPopupFrame("https://" + d.domain);
+    }
+
+    popup.style.display = "block";
+    popup.__domain = d.domain;
+    popup.__anchor = p;
+
+    // IMPORTANT: size body after display is set (so header height is real)
+    syncPopupBodyHeight();
+    positionPopupAtAnchor(p);
+    scheduleHashUpdate();
+    events.call("select", root, d);
+  }
+
+  // --- highlighting ---
+  function styleSiteCircles(sel) {
+    sel
+      .attr("data-hl", d => highlighted.has(d.domain) ? "1" : "0")
+      .attr("stroke", d => highlighted.has(d.domain) ? HIGHLIGHT_COLOR : (changeColor(d) ?? "none"))
+      .attr("data-sw", d => highlighted.has(d.domain) ? HIGHLIGHT_SW : (isChanged(d) ? CHANGE_SW : 0))
+      .attr("data-rboost", d => highlighted.has(d.domain) ? HIGHLIGHT_RBOOST : 0)
+      .attr("fill-opacity", d => highlighted.has(d.domain) ? 1.0 : dotOpacity(d));
+    sel.filter(d => highlighted.has(d.domain)).raise();
+  }
+
+  function applyHighlight() {
+    if (renderer === "canvas") { renderCanvas(); return; }
+    styleSiteCircles(gPts.selectAll("circle.site"));
+    styleClusters(gPts.selectAll("g.cluster"));
+    applyConstantDotSize();
+  }
+
+  // the selected folder's dots stay highlighted between hovers
+  function clearHighlight() {
+    highlighted = new Set(folderFilterSet || []);
+    applyHighlight();
+  }
+  // one domain, or any iterable of domains (a whole group of the Sites list)
+  function highlightDomain(domains) {
+    highlighted = new Set(typeof domains === "string" ? [domains] : domains);
+    applyHighlight();
+  }
+
+  // --- sites list: folder tree ---
+  let collapsedFolders = new Set();  // paths of folded tree nodes
+  let groupBy = "folder";            // "folder" | "country" | "org" | "class" | "count"
+
+  // "Citography / PROJECTS / ARCH" -> Citography > PROJECTS > ARCH
+  function buildFolderTree() {
+    const root = { name: "", path: "", children: new Map(), domains: [] };
+    for (const [fp, doms] of folderToDomains) {
+      const parts = fp.split(" / ");
+      let node = root;
+      parts.forEach((name, i) => {
+        if (!node.children.has(name)) {
+          node.children.set(name, { name, path: parts.slice(0, i + 1).join(" / "), children: new Map(), domains: [] });
+        }
+        node = node.children.get(name);
       });
+      node.domains = doms;
     }
-    for (const [dom, arr] of tmpDom.entries()) {
-      arr.sort((a, b) =>
-        (b.bookmark_count || 0) - (a.bookmark_count || 0) ||
-        (a.folder_path || "").localeCompare(b.folder_path || "")
-      );
-      domainFolders.set(dom, arr); // <-- ALL folders for popup
+    return root;
+  }
+
+  // unique domains of a node and everything below it (deeper levels roll up)
+  function subtreeDomains(node, out = new Set()) {
+    for (const dom of node.domains) out.add(dom);
+    for (const child of node.children.values()) subtreeDomains(child, out);
+    return out;
+  }
+
+  function folderSubtreeDomains(path) {
+    const out = new Set();
+    for (const [fp, doms] of folderToDomains) {
+      if (fp === path || fp.startsWith(path + " / ")) for (const dom of doms) out.add(dom);
     }
+    return out;
+  }
 
-    // --- folder -> unique domains (sorted) ---
-    const tmpFolder = new Map();
-    for (const r of cit) {
-      const fp = r.folder_path || "Citography";
-      if (!tmpFolder.has(fp)) tmpFolder.set(fp, new Set());
-      tmpFolder.get(fp).add(r.domain);
+  // with a folder filter, only the selected subtree (and the way up to it) is listed
+  function folderInFilter(path, withAncestors = false) {
+    const f = filters.folder;
+    if (!f || path === f || path.startsWith(f + " / ")) return true;
+    return withAncestors && f.startsWith(path + " / ");
+  }
+
+  function setFolderFilter(path) {
+    filters.folder = path || null;
+    folderFilterSet = filters.folder ? folderSubtreeDomains(filters.folder) : null;
+    clearHighlight();
+    applyFilters();
+  }
+
+  function siteListItem(dom, d, depth) {
+    const div = document.createElement("div");
+    div.className = isDimmed(d) ? "siteItem dimmed" : "siteItem";
+    div.style.paddingLeft = `${14 + depth * 10}px`;
+    div.textContent = dom;
+    div.dataset.domain = dom;
+    div.tabIndex = 0;
+    div.setAttribute("role", "button");
+
+    hoverHighlights(div, dom);
+    div.addEventListener("click", () => {
+      const p = currentPoints.find(x => x.domain === dom);
+      if (!p) return;
+      // spread its cluster so the selected dot is visible next to the popup
+      if (p.__cluster) { spiderKey = p.__cluster.key; render(); }
+      if (isOnScreen(p)) openPopupForPoint(p);
+      else flyToPoint(p);
+    });
+
+    return div;
+  }
+
+  // counts are unique domains in the whole subtree (shown / total while filtering)
+  function renderFolderNode(node, depth, parent, visible) {
+    const all = subtreeDomains(node);
+    const shown = Array.from(all).filter(dom => visible.has(dom)).length;
+    if (!shown || !folderInFilter(node.path, true)) return;
+
+    const grp = document.createElement("div");
+    grp.className = "folderGroup";
+
+    const open = !collapsedFolders.has(node.path);
+    const title = document.createElement("div");
+    title.className = filters.folder === node.path ? "folderTitle active" : "folderTitle";
+    title.style.paddingLeft = `${6 + depth * 10}px`;
+    title.title = `${node.path}\nClick to show only this folder on the globe`;
+    title.innerHTML = `
+      <span class="folderCaret">${open ? "▾" : "▸"}</span>
+      <span class="folderName">${escapeHtml(node.name)}</span>
+      <span class="folderCount">${shown === all.size ? all.size : `${shown} / ${all.size}`}</span>`;
+
+    title.querySelector(".folderCaret").addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (open) collapsedFolders.add(node.path);
+      else collapsedFolders.delete(node.path);
+      buildSitesList();
+    });
+    title.addEventListener("click", () => setFolderFilter(filters.folder === node.path ? null : node.path));
+    hoverHighlights(title, all);
+
+    grp.appendChild(title);
+    parent.appendChild(grp);
+
+    if (!open) return;
+
+    const children = Array.from(node.children.values()).sort((a, b) => a.name.localeCompare(b.name));
+    for (const child of children) renderFolderNode(child, depth + 1, grp, visible);
+
+    if (!folderInFilter(node.path)) return;
+    for (const dom of node.domains) {
+      if (visible.has(dom)) grp.appendChild(siteListItem(dom, visible.get(dom), depth));
     }
-    for (const [fp, set] of tmpFolder.entries()) {
-      folderToDomains.set(fp, Array.from(set).sort((a, b) => a.localeCompare(b)));
+  }
+
+  // hovering a section header rings all of its dots at once
+  function hoverHighlights(el, domains) {
+    el.addEventListener("mouseenter", () => { highlightDomain(domains); stopAutoRotate(); });
+    el.addEventListener("mouseleave", () => {
+      clearHighlight();
+      if (userWantsAuto && popup.style.display !== "block") startAutoRotate();
+    });
+  }
+
+  // --- sites list: other groupings (country, owner, class, bookmark count, distance) ---
+  function groupKey(d) {
+    if (groupBy === "country") return d.geo_country || "Unknown country";
+    if (groupBy === "class") return d.host_edge;
+    if (groupBy === "org") {
+      if (!d.org && !d.asn) return "Unknown owner";
+      return d.asn ? `${d.org || "?"} · AS${d.asn}` : d.org;
     }
-  } catch (e) {
-    console.warn("Folders CSV not loaded or not parseable:", e);
+    if (groupBy === "distance") return `By distance from ${home.name}`;
+    return "By bookmarks";
+  }
+
+  function groupLabel(key) {
+    return groupBy === "class" ? classLabel(key) : key;
   }
 
-  // 3) Fallback so the left list is never empty
-  if (!folderToDomains || folderToDomains.size === 0) {
-    // If folders missing or Citography filter didn't match, show all globe domains in one group
-    const all = Array.from(domainsOnGlobe).sort((a, b) => a.localeCompare(b));
-    folderToDomains = new Map([["Citography (no folder match)", all]]);
+  function buildSitesGrouped() {
+    const byKey = d3.group(currentPoints, groupKey);
+    const totals = d3.rollup(allPoints, v => v.length, groupKey);
+
+    // largest groups first; classes keep the legend order
+    const keys = Array.from(byKey.keys()).sort(groupBy === "class"
+      ? (a, b) => CLASSES.indexOf(a) - CLASSES.indexOf(b)
+      : (a, b) => byKey.get(b).length - byKey.get(a).length || a.localeCompare(b));
+
+    for (const key of keys) {
+      const pts = byKey.get(key).slice().sort(
+        groupBy === "count" ? (a, b) => (b.bookmark_count || 0) - (a.bookmark_count || 0) || a.domain.localeCompare(b.domain)
+        : groupBy === "distance" ? (a, b) => homeKm(a) - homeKm(b) || a.domain.localeCompare(b.domain)
+        : (a, b) => a.domain.localeCompare(b.domain));
+
+      const grp = document.createElement("div");
+      grp.className = "folderGroup";
+
+      const shown = pts.length;
+      const all = totals.get(key) || shown;
+      const title = document.createElement("div");
+      title.className = "folderTitle";
+      title.title = `${groupLabel(key)}\nHover to ring its dots on the globe`;
+      title.innerHTML = `
+        ${groupBy === "class" ? `<span style="color:${COLOR(key)}">●</span>` : ""}
+        <span class="folderName">${escapeHtml(groupLabel(key))}</span>
+        <span class="folderCount">${shown === all ? all : `${shown} / ${all}`}</span>`;
+      hoverHighlights(title, pts.map(d => d.domain));
+      grp.appendChild(title);
+
+      for (const d of pts) {
+        const item = siteListItem(d.domain, d, 0);
+        if (groupBy === "count") item.insertAdjacentHTML("afterbegin", `<span class="siteBm">${d.bookmark_count || 0}</span>`);
+        if (groupBy === "distance") item.insertAdjacentHTML("afterbegin", `<span class="siteKm">${formatKm(homeKm(d))}</span>`);
+        grp.appendChild(item);
+      }
+      siteScroll.appendChild(grp);
+    }
   }
 
-  // 4) Update UI
-  buildSitesGroupedByFolder();
+  function buildSitesList() {
+    siteScroll.innerHTML = "";
 
-  closePopup();
-  drawPoints(pts);
-}
+    const visible = new Map(currentPoints.map(d => [d.domain, d]));
+    let totalSites = 0;
+    let shownSites = 0;
 
-// --- init ---
-setProjection("ortho_gent", countries);
-drawWorld();
-
-loadData().then(() => startAutoRotate())
-  .catch(err => console.error("Could not load CSV. Use Live Server / python -m http.server.", err));
-
-document.getElementById("proj").addEventListener("change", (e) => {
-  stopAutoRotate();
-  setProjection(e.target.value, countries);
-  closePopup();
-  redraw();
-  startAutoRotate();
-});
-
-window.addEventListener("resize", () => {
-  w = window.innerWidth; h = window.innerHeight;
-  svg.attr("width", w).attr("height", h);
-  setProjection(document.getElementById("proj").value, countries);
-  redraw();
-});
-
-// If the popup is open and folders scroll changes header height slightly, keep body correct.
-new ResizeObserver(() => {
-  if (popup.style.display === "block") syncPopupBodyHeight();
-}).observe(popHeader);
+    if (groupBy === "folder") {
+      for (const [fp, doms] of folderToDomains) {
+        totalSites += doms.length;
+        if (folderInFilter(fp)) shownSites += doms.filter(dom => visible.has(dom)).length;
+      }
+
+      const tree = buildFolderTree();
+      const roots = Array.from(tree.children.values()).sort((a, b) => a.name.localeCompare(b.name));
+      for (const node of roots) renderFolderNode(node, 0, siteScroll, visible);
+    } else {
+      // every domain once
+      totalSites = allPoints.length;
+      shownSites = currentPoints.length;
+      buildSitesGrouped();
+    }
+
+    // domains we know from the bookmarks but cannot place on the globe
+    const q = filters.query.trim().toLowerCase();
+    const unlocated = unlocatedDomains.filter(dom => !q || q.split(/\s+/).every(t => dom.includes(t)));
+    if (unlocated.length) {
+      const grp = document.createElement("div");
+      grp.className = "folderGroup";
+
+      const title = document.createElement("div");
+      title.className = "folderTitle";
+      title.innerHTML = `<span class="folderName">Unlocated</span><span class="folderCount">${unlocated.length}</span>`;
+      title.title = "In the bookmarks, but without coordinates in the hostmap";
+      grp.appendChild(title);
+
+      for (const dom of unlocated) {
+        const div = document.createElement("div");
+        div.className = "siteItem unlocated";
+        div.textContent = dom;
+        div.dataset.domain = dom;
+        div.tabIndex = 0;
+        div.title = "No coordinates in the hostmap";
+        grp.appendChild(div);
+      }
+      siteScroll.appendChild(grp);
+    }
+
+    siteCount.textContent = hasActiveFilters() ? `${shownSites} / ${totalSites}` : `${totalSites}`;
+  }
+
+  // --- constant dot size ---
+  function applyConstantDotSize() {
+    const t = d3.zoomTransform(svg.node());
+    const k = t.k || 1;
+
+    gPts.selectAll("circle.site").each(function(d) {
+      const el = d3.select(this);
+      const boost = +el.attr("data-rboost") || 0;
+      el.attr("r", (dotRadius(d) + boost) / k);
+
+      const sw = +el.attr("data-sw") || 0;
+      el.attr("stroke-width", sw / k);
+    });
+
+    gArcs.selectAll("path.arc").each(function() {
+      const el = d3.select(this);
+      el.attr("stroke-width", (+el.attr("data-sw") || 0) / k);
+    });
+
+    gPts.selectAll("g.cluster").attr("transform", c => clusterTransform(c));
+    gPts.selectAll("line.leg").attr("stroke-width", 0.8 / k);
+
+    gPts.selectAll("circle.removed").attr("r", DOT_RADIUS / k).attr("stroke-width", CHANGE_SW / k);
+    gPts.selectAll("circle.home").attr("r", DOT_RADIUS / k);
+    gPts.selectAll("text.homelabel").attr("font-size", 11 / k);
+  }
+
+  // --- size legend ---
+  const sizeLegend = part("sizeLegend");
+
+  function renderSizeLegend() {
+    if (sizeMode !== "sqrt" || isChoropleth() || !allPoints.length) {
+      sizeLegend.style.display = "none";
+      return;
+    }
+
+    const max = d3.max(allPoints, d => d.bookmark_count) || 1;
+    const steps = Array.from(new Set([1, Math.round(max / 3), max])).filter(v => v >= 1).sort((a,b) => a - b);
+    const rMax = dotRadius({ bookmark_count: max });
+
+    let x = 4;
+    const items = steps.map(v => {
+      const r = dotRadius({ bookmark_count: v });
+      const item = { v, r, cx: x + r };
+      x += r * 2 + 18;
+      return item;
+    });
+
+    const height = rMax * 2 + 18;
+    sizeLegend.innerHTML = `
+      <svg width="${x}" height="${height}">
+        ${items.map(it => `
+          <circle cx="${it.cx}" cy="${rMax + 2}" r="${it.r}" fill="#111111" fill-opacity="${DOT_OPACITY}"></circle>
+          <text x="${it.cx}" y="${height - 2}" text-anchor="middle">${it.v}</text>
+        `).join("")}
+      </svg>
+      bookmarks per domain`;
+    sizeLegend.style.display = "block";
+  }
+
+  // --- colour ramp legend (choropleth) ---
+  const rampLegend = part("rampLegend");
+
+  function renderRampLegend() {
+    if (!isChoropleth()) {
+      rampLegend.style.display = "none";
+      return;
+    }
+
+    const max = d3.max(countryAgg.values(), countryValue) || 1;
+    const color = d3.scaleSequentialSqrt(RAMP).domain([0, max]);
+    const stops = d3.range(0, 1.0001, 0.1).map(t => `<stop offset="${t * 100}%" stop-color="${color(t * max)}"></stop>`);
+    const label = viewMode === "countryBookmarks" ? "bookmarks per country" : "domains per country";
+
+    rampLegend.innerHTML = `
+      <svg width="160" height="26">
+        <defs><linearGradient id="rampGrad-${uid}">${stops.join("")}</linearGradient></defs>
+        <rect x="0" y="0" width="160" height="10" fill="url(#rampGrad-${uid})" stroke="#ddd"></rect>
+        <text x="0" y="23">0</text>
+        <text x="160" y="23" text-anchor="end">${max}</text>
+      </svg>
+      ${label}${unshadedNote()}`;
+    rampLegend.style.display = "block";
+  }
+
+  // countries with domains but no shape to shade, so they don't vanish silently
+  function unshadedNote() {
+    const missing = Array.from(countryAgg, ([name, agg]) => ({ name, agg }))
+      .filter(c => atlasNames.size && !atlasNames.has(c.name) && countryValue(c.agg) > 0);
+    if (!missing.length) return "";
+    const list = missing.map(c => `${escapeHtml(c.agg.label)} (${countryValue(c.agg)})`).join(", ");
+    return `<div class="unshaded">not shaded (no shape on this map): ${list}</div>`;
+  }
+
+  // --- unfolding ---
+  function hash01(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    return (h >>> 0) / 4294967295;
+  }
+
+  function locationKey(d) {
+    return `${(+d.lat).toFixed(6)},${(+d.lon).toFixed(6)}`;
+  }
+
+  // ring for small groups, sunflower spiral for big ones (offsets in screen px)
+  function spiderPositions(arr) {
+    const n = arr.length;
+    const golden = 2.399963229728653;
+
+    arr.forEach((d, i) => {
+      let r, a;
+      if (n <= SPIDER_CIRCLE_MAX) {
+        r = Math.max(18, (n * 9) / (2 * Math.PI));
+        a = (i / n) * 2 * Math.PI - Math.PI / 2;
+      } else {
+        r = 16 + 6 * Math.sqrt(i);
+        a = i * golden;
+      }
+      d.__dx = Math.cos(a) * r;
+      d.__dy = Math.sin(a) * r;
+    });
+  }
+
+  function computeUnfoldedPositions(points) {
+    const t = d3.zoomTransform(svg.node());
+    const k = t.k || 1;
+    const unfold = k >= UNFOLD_ZOOM_K;
+
+    const groups = new Map();
+    for (const d of points) {
+      const key = locationKey(d);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(d);
+    }
+
+    clusters = [];
+    for (const [key, arr] of groups.entries()) {
+      for (const d of arr) { d.__cluster = null; d.__spider = false; }
+
+      if (arr.length <= 1) {
+        for (const d of arr) { d.__dx = 0; d.__dy = 0; }
+        continue;
+      }
+
+      // low zoom: one marker per location, or its spiderfied members
+      if (!unfold) {
+        const c = { key, lon: arr[0].lon, lat: arr[0].lat, members: arr, spider: key === spiderKey };
+        if (c.spider) {
+          spiderPositions(arr);
+          for (const d of arr) d.__spider = true;
+        } else {
+          for (const d of arr) { d.__dx = 0; d.__dy = 0; d.__cluster = c; }
+        }
+        clusters.push(c);
+        continue;
+      }
+
+      const cloudR = Math.min(UNFOLD_MAX_PX, UNFOLD_BASE_PX + Math.sqrt(arr.length) * 10);
+      const golden = 2.399963229728653;
+
+      arr.forEach((d, i) => {
+        const r1 = hash01(d.domain || String(i));
+        const r2 = hash01((d.domain || String(i)) + "#");
+
+        const r = cloudR * Math.sqrt((i + 0.35) / arr.length);
+        const a = i * golden + (r1 - 0.5) * 0.8;
+        const j = (r2 - 0.5) * (cloudR * 0.18);
+
+        d.__dx = Math.cos(a) * r + j;
+        d.__dy = Math.sin(a) * r - j;
+      });
+    }
+  }
+
+  function pointTransformWithUnfold(d) {
+    const p = projectPoint(d);
+    if (!p) return "translate(-999,-999)";
+
+    const t = d3.zoomTransform(svg.node());
+    const k = t.k || 1;
+
+    const dx = (d.__dx || 0) / k;
+    const dy = (d.__dy || 0) / k;
+
+    return `translate(${p[0] + dx},${p[1] + dy})`;
+  }
+
+  function updateUnfoldingAndSizes() {
+    if (renderer === "canvas") { renderCanvas(); return; }
+    if (!currentPoints || currentPoints.length === 0) return;
+
+    // crossing UNFOLD_ZOOM_K swaps clusters for dots, so only then rebuild
+    const k = d3.zoomTransform(svg.node()).k || 1;
+    if ((k >= UNFOLD_ZOOM_K) !== drawnUnfolded) { drawPoints(currentPoints); return; }
+
+    // otherwise the px offsets stand: move the existing elements
+    gPts.selectAll("circle.site").attr("transform", d => pointTransformWithUnfold(d));
+    gPts.selectAll("line.leg")
+      .attr("x2", d => projectPoint(d)[0] + d.__dx / k)
+      .attr("y2", d => projectPoint(d)[1] + d.__dy / k);
+    applyConstantDotSize();
+  }
+
+  // --- clusters ---
+  function clusterRadius(c) {
+    return CLUSTER_MIN_PX + Math.sqrt(c.members.length) * 1.6;
+  }
+
+  // share of each colour (class, or collection when comparing) among the members
+  function clusterMix(c) {
+    const order = colorByCollection() ? [...selectedRoots, "*"] : CLASSES;
+    return Array.from(d3.rollup(c.members, v => v.length, colorKey), ([key, n]) => ({ key, n, color: colorOfKey(key) }))
+      .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+  }
+
+  function clusterHighlighted(c) {
+    return c.members.some(d => highlighted.has(d.domain));
+  }
+
+  // drawn in px inside a group scaled by 1/k (see applyConstantDotSize)
+  function drawClusterSvg(g, c) {
+    const r = clusterRadius(c);
+    const arc = d3.arc().innerRadius(r - CLUSTER_RING_PX).outerRadius(r);
+
+    g.append("circle")
+      .attr("class", "clusterBg")
+      .attr("r", r)
+      .attr("fill", "#ffffff");
+
+    g.selectAll("path")
+      .data(d3.pie().sort(null).value(m => m.n)(clusterMix(c)))
+      .join("path")
+      .attr("d", arc)
+      .attr("fill", a => a.data.color);
+
+    g.append("text")
+      .attr("text-anchor", "middle")
+      .attr("dy", "0.35em")
+      .attr("font-size", 9)
+      .attr("font-weight", 700)
+      .attr("fill", "#111111")
+      .text(c.members.length);
+  }
+
+  // snapshot comparison: a cluster hiding changed dots gets the first change's ring
+  function clusterChangeColor(c) {
+    const d = c.members.find(isChanged);
+    return d ? changeColor(d) : null;
+  }
+
+  function styleClusters(sel) {
+    sel.select("circle.clusterBg")
+      .attr("stroke", c => clusterHighlighted(c) ? HIGHLIGHT_COLOR : (clusterChangeColor(c) ?? "none"))
+      .attr("stroke-width", HIGHLIGHT_SW);
+  }
+
+  function clusterTransform(c) {
+    const p = projectPoint(c);
+    if (!p) return "translate(-999,-999)";
+    const k = d3.zoomTransform(svg.node()).k || 1;
+    return `translate(${p[0]},${p[1]}) scale(${1 / k})`;
+  }
+
+  function toggleSpider(key) {
+    spiderKey = spiderKey === key ? null : key;
+    hideTip();
+    render();
+  }
+
+  function collapseSpider() {
+    if (!spiderKey) return;
+    spiderKey = null;
+    render();
+  }
+
+  // --- points ---
+  function drawPoints(points) {
+    currentPoints = points;
+
+    computeUnfoldedPositions(points);
+    drawnUnfolded = (d3.zoomTransform(svg.node()).k || 1) >= UNFOLD_ZOOM_K;
+    gPts.selectAll("*").remove();
+
+    if (!isChoropleth()) {
+      const k = d3.zoomTransform(svg.node()).k || 1;
+
+      // leader lines from spiderfied dots back to the true location
+      gPts.selectAll("line.leg")
+        .data(points.filter(d => d.__spider && projectPoint(d)))
+        .join("line")
+        .attr("class", "leg")
+        .each(function(d) {
+          const p = projectPoint(d);
+          d3.select(this)
+            .attr("x1", p[0]).attr("y1", p[1])
+            .attr("x2", p[0] + d.__dx / k).attr("y2", p[1] + d.__dy / k);
+        })
+        .attr("stroke", SPIDER_LEG_COLOR);
+
+      gPts.selectAll("g.cluster")
+        .data(clusters.filter(c => projectPoint(c)))
+        .join("g")
+        .attr("class", "cluster")
+        .attr("opacity", c => c.spider ? 0.45 : 1)
+        .style("cursor", "pointer")
+        .each(function(c) { drawClusterSvg(d3.select(this), c); })
+        .call(styleClusters)
+        .on("mouseenter", (evt, c) => { showClusterTip(evt, c); stopAutoRotate(); })
+        .on("mousemove", moveTip)
+        .on("mouseleave", () => { hideTip(); if (popup.style.display !== "block") startAutoRotate(); })
+        .on("click", (evt, c) => { evt.preventDefault?.(); evt.stopPropagation?.(); toggleSpider(c.key); });
+    }
+
+    // snapshot comparison: removed domains as hollow rings at their old position
+    gPts.selectAll("circle.removed")
+      .data(removedToDraw().filter(g => projectPoint(g)))
+      .join("circle")
+      .attr("class", "removed")
+      .attr("transform", g => `translate(${projectPoint(g)})`)
+      .attr("fill", "none")
+      .attr("stroke", CHANGE_STYLES.removed.color)
+      .attr("stroke-dasharray", "2,1.5");
+
+    gPts.selectAll("circle.site")
+      .data(points.filter(d => !d.__cluster))
+      .join("circle")
+      .attr("class", "site")
+      .attr("transform", d => pointTransformWithUnfold(d))
+      .attr("r", d => dotRadius(d))
+      .attr("fill", d => pointColor(d))
+      .attr("role", "img")
+      .attr("aria-label", d => siteDescription(d))
+      .call(styleSiteCircles)
+      .attr("display", isChoropleth() ? "none" : null)
+      .style("cursor", "pointer")
+      .on("mouseenter", (evt,d) => { showTip(evt,d); stopAutoRotate(); })
+      .on("mousemove", moveTip)
+      .on("mouseleave", () => { hideTip(); if (popup.style.display !== "block") startAutoRotate(); })
+      .on("click", (evt,d) => { evt.preventDefault?.(); evt.stopPropagation?.(); openPopupForPoint(d); });
+
+    drawHomeMarker();
+    applyConstantDotSize();
+  }
+
+  // --- canvas renderer ---
+  let hitIndex = null;              // quadtree of drawn dots in screen px (canvas mode)
+
+  function renderCanvas() {
+    const t = d3.zoomTransform(svg.node());
+    const k = t.k || 1;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.node().width, canvas.node().height);
+    ctx.setTransform(DPR * k, 0, 0, DPR * k, DPR * t.x, DPR * t.y);
+    ctx.globalAlpha = 1;
+
+    const cpath = d3.geoPath(projection, ctx);
+
+    // land: same fills / strokes as the svg layers (widths scale with zoom there too)
+    ctx.beginPath(); cpath({type:"Sphere"});
+    ctx.fillStyle = "#f6f6f6"; ctx.fill();
+    ctx.lineWidth = 0.8; ctx.strokeStyle = "#999"; ctx.stroke();
+
+    ctx.beginPath(); cpath(graticule);
+    ctx.lineWidth = 0.6; ctx.strokeStyle = "#dddddd"; ctx.stroke();
+
+    if (isChoropleth()) {
+      const fill = countryFillFn();
+      for (const f of countries.features) {
+        ctx.beginPath(); cpath(f);
+        ctx.fillStyle = fill(f); ctx.fill();
+      }
+    } else {
+      ctx.beginPath(); cpath(countries);
+      ctx.fillStyle = "#ffffff"; ctx.fill();
+    }
+    ctx.beginPath(); cpath(countries);
+    ctx.lineWidth = 0.6; ctx.strokeStyle = "#c8c8c8"; ctx.stroke();
+
+    // arcs (screen-constant widths)
+    if (arcsVisible()) {
+      ctx.strokeStyle = ARC_COLOR;
+      ctx.globalAlpha = 0.35;
+      ctx.lineCap = "round";
+      for (const a of arcsToDraw()) {
+        ctx.beginPath(); cpath(arcGeometry(a.dest));
+        ctx.lineWidth = a.sw / k; ctx.stroke();
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // snapshot comparison: old -> new position
+    ctx.strokeStyle = CHANGE_STYLES.relocated.color;
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 1 / k;
+    for (const a of moveArcsToDraw()) {
+      ctx.beginPath(); cpath(a.geometry); ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+
+    // legs, clusters, then dots (highlighted last, like .raise() in svg)
+    const nodes = [];
+    if (!isChoropleth()) {
+      computeUnfoldedPositions(currentPoints);
+
+      ctx.strokeStyle = SPIDER_LEG_COLOR;
+      ctx.lineWidth = 0.8 / k;
+      for (const d of currentPoints) {
+        const p = d.__spider && projectPoint(d);
+        if (!p) continue;
+        ctx.beginPath();
+        ctx.moveTo(p[0], p[1]);
+        ctx.lineTo(p[0] + d.__dx / k, p[1] + d.__dy / k);
+        ctx.stroke();
+      }
+
+      ctx.strokeStyle = CHANGE_STYLES.removed.color;
+      ctx.lineWidth = CHANGE_SW / k;
+      ctx.setLineDash([2 / k, 1.5 / k]);
+      for (const g of removedToDraw()) {
+        const p = projectPoint(g);
+        if (!p) continue;
+        ctx.beginPath();
+        ctx.arc(p[0], p[1], DOT_RADIUS / k, 0, 2 * Math.PI);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+
+      for (const c of clusters) {
+        const p = projectPoint(c);
+        if (!p) continue;
+        drawClusterCanvas(c, p, k);
+        nodes.push({ kind: "cluster", item: c, x: p[0] * k + t.x, y: p[1] * k + t.y, r: clusterRadius(c) });
+      }
+
+      const unclustered = currentPoints.filter(d => !d.__cluster);
+      const ordered = unclustered.filter(d => !highlighted.has(d.domain))
+        .concat(unclustered.filter(d => highlighted.has(d.domain)));
+
+      for (const d of ordered) {
+        const p = projectPoint(d);
+        if (!p) continue;
+
+        const hl = highlighted.has(d.domain);
+        const x = p[0] + (d.__dx || 0) / k;
+        const y = p[1] + (d.__dy || 0) / k;
+        const r = dotRadius(d) + (hl ? HIGHLIGHT_RBOOST : 0);
+
+        ctx.beginPath();
+        ctx.arc(x, y, r / k, 0, 2 * Math.PI);
+        ctx.globalAlpha = hl ? 1 : dotOpacity(d);
+        ctx.fillStyle = pointColor(d);
+        ctx.fill();
+        if (hl || isChanged(d)) {
+          ctx.globalAlpha = 1;
+          ctx.lineWidth = (hl ? HIGHLIGHT_SW : CHANGE_SW) / k;
+          ctx.strokeStyle = hl ? HIGHLIGHT_COLOR : changeColor(d);
+          ctx.stroke();
+        }
+
+        nodes.push({ kind: "point", item: d, x: x * k + t.x, y: y * k + t.y, r });
+      }
+      ctx.globalAlpha = 1;
+    }
+    hitIndex = d3.quadtree(nodes, n => n.x, n => n.y);
+    hitIndex.maxR = d3.max(nodes, n => n.r) || DOT_RADIUS;
+
+    // home marker
+    const g = projectPoint(home);
+    if (g) {
+      ctx.beginPath();
+      ctx.arc(g[0], g[1], DOT_RADIUS / k, 0, 2 * Math.PI);
+      ctx.fillStyle = "#d100d1"; ctx.fill();
+      ctx.font = `700 ${11 / k}px Arial, Helvetica, sans-serif`;
+      ctx.fillText(home.name, g[0] + 7, g[1] + 4);
+    }
+  }
+
+  function drawClusterCanvas(c, p, k) {
+    const r = clusterRadius(c);
+    const total = c.members.length;
+
+    ctx.save();
+    ctx.translate(p[0], p[1]);
+    ctx.scale(1 / k, 1 / k);
+    ctx.globalAlpha = c.spider ? 0.45 : 1;
+
+    ctx.beginPath();
+    ctx.arc(0, 0, r, 0, 2 * Math.PI);
+    ctx.fillStyle = "#ffffff"; ctx.fill();
+
+    let a0 = -Math.PI / 2;
+    for (const m of clusterMix(c)) {
+      const a1 = a0 + (m.n / total) * 2 * Math.PI;
+      ctx.beginPath();
+      ctx.arc(0, 0, r, a0, a1);
+      ctx.arc(0, 0, r - CLUSTER_RING_PX, a1, a0, true);
+      ctx.closePath();
+      ctx.fillStyle = m.color; ctx.fill();
+      a0 = a1;
+    }
+
+    const ring = clusterHighlighted(c) ? HIGHLIGHT_COLOR : clusterChangeColor(c);
+    if (ring) {
+      ctx.beginPath();
+      ctx.arc(0, 0, r, 0, 2 * Math.PI);
+      ctx.lineWidth = HIGHLIGHT_SW; ctx.strokeStyle = ring; ctx.stroke();
+    }
+
+    ctx.fillStyle = "#111111";
+    ctx.font = "700 9px Arial, Helvetica, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(String(total), 0, 0);
+    ctx.restore();
+  }
+
+  // --- canvas hit-testing ---
+  // nearest dot or cluster marker under the cursor: {kind, item} or null
+  function pickMarker(mx, my) {
+    if (!hitIndex) return null;
+    const n = hitIndex.find(mx, my, hitIndex.maxR + HIT_PX);
+    if (!n) return null;
+    return Math.hypot(n.x - mx, n.y - my) <= n.r + HIT_PX ? { kind: n.kind, item: n.item } : null;
+  }
+
+  function pickArc(mx, my) {
+    if (!arcsVisible()) return null;
+    const t = d3.zoomTransform(svg.node());
+
+    ctx.save();
+    ctx.setTransform(DPR * t.k, 0, 0, DPR * t.k, DPR * t.x, DPR * t.y);
+    let found = null;
+    for (const a of arcsToDraw().reverse()) {
+      const dstr = path(arcGeometry(a.dest));
+      if (!dstr) continue;
+      ctx.lineWidth = Math.max(a.sw, 2 * HIT_PX) / t.k;
+      if (ctx.isPointInStroke(new Path2D(dstr), mx * DPR, my * DPR)) { found = a.dest; break; }
+    }
+    ctx.restore();
+    return found;
+  }
+
+  // [lon, lat] under a screen point; null off the map or on the far side of the globe
+  function lonLatAt(mx, my) {
+    if (!projection.invert) return null;
+    const t = d3.zoomTransform(svg.node());
+    const ll = projection.invert(t.invert([mx, my]));
+    if (!ll || !Number.isFinite(ll[0]) || !Number.isFinite(ll[1])) return null;
+    if (Math.abs(ll[0]) > 180 || Math.abs(ll[1]) > 90) return null;
+
+    if (isGlobe()) {
+      const center = projection.invert([w/2, h/2]);
+      if (center && d3.geoDistance(ll, center) > Math.PI / 2) return null;
+    }
+    return ll;
+  }
+
+  function pickCountry(mx, my) {
+    if (!isChoropleth()) return null;
+    const ll = lonLatAt(mx, my);
+    if (!ll) return null;
+    return countries.features.find(f => d3.geoContains(f, ll)) || null;
+  }
+
+  // mimic the svg mouseenter / mouseleave pairs with one hovered item
+  let canvasHover = null;           // {kind: "point" | "arc" | "country", item}
+
+  function setCanvasHover(evt, next) {
+    const same = canvasHover && next && canvasHover.kind === next.kind && canvasHover.item === next.item;
+    if (!same) {
+      if (canvasHover) {
+        hideTip();
+        if (popup.style.display !== "block") startAutoRotate();
+      }
+      canvasHover = next;
+      if (next) {
+        if (next.kind === "point") showTip(evt, next.item);
+        else if (next.kind === "cluster") showClusterTip(evt, next.item);
+        else if (next.kind === "arc") showArcTip(evt, next.item);
+        else showCountryTip(evt, next.item);
+        stopAutoRotate();
+      }
+    } else if (next) {
+      moveTip(evt);
+    }
+    svg.style("cursor", canvasHover?.kind === "point" || canvasHover?.kind === "cluster" ? "pointer" : null);
+  }
+
+  svg
+    .on("mousemove.canvas", (evt) => {
+      if (renderer !== "canvas") return;
+      const [mx, my] = d3.pointer(evt, svg.node());
+
+      const marker = pickMarker(mx, my);
+      if (marker) return setCanvasHover(evt, marker);
+
+      const dest = pickArc(mx, my);
+      if (dest) return setCanvasHover(evt, { kind: "arc", item: dest });
+
+      const f = pickCountry(mx, my);
+      setCanvasHover(evt, f ? { kind: "country", item: f } : null);
+    })
+    .on("mouseleave.canvas", (evt) => {
+      if (renderer === "canvas") setCanvasHover(evt, null);
+    })
+    .on("click.canvas", (evt) => {
+      // svg mode: dots and clusters stop propagation, so this is a background click
+      if (renderer !== "canvas") { collapseSpider(); return; }
+
+      const [mx, my] = d3.pointer(evt, svg.node());
+      const marker = pickMarker(mx, my);
+      if (!marker) { collapseSpider(); return; }
+
+      evt.preventDefault?.(); evt.stopPropagation?.();
+      if (marker.kind === "cluster") toggleSpider(marker.item.key);
+      else openPopupForPoint(marker.item);
+    });
+
+  // switch between the canvas bitmap and the svg layers (svg is what gets exported)
+  function setRenderer(kind) {
+    renderer = kind === "svg" ? "svg" : "canvas";
+    canvasHover = null;
+    hitIndex = null;
+
+    if (renderer === "canvas") {
+      gLand.selectAll("*").remove();
+      gArcs.selectAll("*").remove();
+      gPts.selectAll("*").remove();
+    } else {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.node().width, canvas.node().height);
+    }
+    render();
+  }
+
+  // re-apply filters to the loaded points: globe dots + sites list
+  function applyFilters() {
+    const pts = allPoints.filter(pointMatchesFilters);
+
+    if (popup.style.display === "block" && !pts.some(d => d.domain === popup.__domain)) closePopup();
+
+    computeCountryAgg(pts);
+    computeArcDestinations(pts);
+    currentPoints = pts;
+    render();
+    buildSitesList();
+    renderLegend();
+    renderSizeLegend();
+    renderRampLegend();
+    renderStats();
+    renderCompare();
+    scheduleHashUpdate();
+  }
+
+  // --- legend (class toggles + live counts) ---
+  const legendItems = part("legendItems");
+  const legendMode = part("legendMode");
+  const legendExplain = part("legendExplain");
+
+  function renderLegend() {
+    // counts respect every filter except the class toggles themselves
+    const counts = new Map(CLASSES.map(c => [c, 0]));
+    for (const d of allPoints) {
+      if (pointMatchesFilters(d, "class")) counts.set(d.host_edge, (counts.get(d.host_edge) || 0) + 1);
+    }
+
+    legendItems.innerHTML = "";
+    for (const cls of CLASSES) {
+      const item = document.createElement("div");
+      item.className = filters.hiddenClasses.has(cls) ? "legendItem off" : "legendItem";
+      item.title = filters.hiddenClasses.has(cls) ? `Show ${classLabel(cls)}` : `Hide ${classLabel(cls)}`;
+      item.innerHTML = `
+        <span style="color:${COLOR(cls)}">●</span>
+        <span class="legendLabel">${escapeHtml(classLabel(cls))}</span>
+        <span class="legendCount">${counts.get(cls) || 0}</span>`;
+      item.dataset.cls = cls;
+      item.tabIndex = 0;
+      item.setAttribute("role", "switch");
+      item.setAttribute("aria-checked", String(!filters.hiddenClasses.has(cls)));
+
+      item.addEventListener("click", () => {
+        if (filters.hiddenClasses.has(cls)) filters.hiddenClasses.delete(cls);
+        else filters.hiddenClasses.add(cls);
+        applyFilters();
+      });
+      item.addEventListener("keydown", (e) => {
+        if (e.key !== "Enter" && e.key !== " ") return;
+        e.preventDefault();
+        item.click();
+        // the legend was rebuilt: keep the keyboard on the same class
+        legendItems.querySelector(`[data-cls="${cls}"]`)?.focus();
+      });
+
+      legendItems.appendChild(item);
+    }
+
+    legendMode.textContent = filters.classMode === "dim" ? "dimmed" : "hidden";
+
+    legendExplain.innerHTML = CLASSES.map(id => {
+      const c = categoryById.get(id);
+      return `<b style="color:${c.color}">${escapeHtml(c.label)}</b>: ${escapeHtml(c.description)}`;
+    }).join("<br>");
+  }
+
+  legendMode.addEventListener("click", () => {
+    filters.classMode = filters.classMode === "dim" ? "hide" : "dim";
+    applyFilters();
+  });
+
+  function render() {
+    if (renderer === "canvas") { renderCanvas(); return; }
+    drawWorld();
+    drawArcs();
+    drawPoints(currentPoints);
+  }
+
+  // "rotate" fires once per changed rotation, whoever turned the globe
+  let lastRotation = "";
+
+  function emitRotate() {
+    if (!projection.rotate) return;
+    const r = projection.rotate();
+    if (r.join(",") === lastRotation) return;
+    lastRotation = r.join(",");
+    events.call("rotate", root, r);
+  }
+
+  function redraw() {
+    render();
+    emitRotate();
+
+    if (popup.style.display === "block" && popup.__domain) {
+      const found = currentPoints.find(x => x.domain === popup.__domain);
+      if (found) {
+        const np = projectPoint(found);
+        if (np) {
+          popup.__anchor = np;
+          syncPopupBodyHeight();
+          positionPopupAtAnchor(np);
+        } else {
+          closePopup();
+        }
+      }
+    }
+  }
+
+  // --- fly-to ---
+  let flying = false;
+
+  // globe: rotate the point to the centre; flat: pan to it. Then zoom in and open the popup.
+  function flyToPoint(d, { zoomIn = true, open = true } = {}) {
+    stopAutoRotate();
+    closePopup();
+    hideTip();
+    svg.interrupt();
+    flying = true;
+
+    const t0 = d3.zoomTransform(svg.node());
+    const k = zoomIn ? Math.max(t0.k, FLY_ZOOM_K) : t0.k;
+    const tr = svg.transition().duration(REDUCED_MOTION ? 0 : FLY_MS).ease(d3.easeCubicInOut);
+
+    let target;
+    if (isGlobe()) {
+      const r0 = projection.rotate();
+      // take the short way round in longitude
+      const dLon = ((((-d.lon - r0[0]) % 360) + 540) % 360) - 180;
+      const interp = d3.interpolate(r0, [r0[0] + dLon, -d.lat, 0]);
+
+      tr.tween("rotate", () => (u) => {
+        projection.rotate(interp(u));
+        path = d3.geoPath(projection);
+        redraw();
+      });
+      target = d3.zoomIdentity.translate(w/2 - k * w/2, h/2 - k * h/2).scale(k);
+    } else {
+      const p = projection([d.lon, d.lat]);
+      target = d3.zoomIdentity.translate(w/2 - k * p[0], h/2 - k * p[1]).scale(k);
+    }
+
+    tr.call(zoom.transform, target)
+      .on("end", () => { flying = false; if (open) openPopupForPoint(d); })
+      .on("interrupt", () => { flying = false; });
+  }
+
+  // --- auto rotate ---
+  // off by default when the system asks for reduced motion (options.autoRotate decides first)
+  const REDUCED_MOTION = !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+  const autoDefault = options.autoRotate ?? !REDUCED_MOTION;
+  let userWantsAuto = autoDefault;
+  let rotating = false;
+  let timer = null;
+
+  function startAutoRotate() {
+    if (!userWantsAuto || flying) return;
+    if (timer) return;
+    rotating = true;
+    btnAuto.classList.add("on");
+
+    timer = d3.timer(() => {
+      if (!rotating || !projection.rotate) return;
+      const r = projection.rotate();
+      projection.rotate([r[0] + ROTATE_STEP, r[1], r[2] || 0]);
+      path = d3.geoPath(projection);
+      redraw();
+    });
+  }
+
+  function stopAutoRotate() {
+    rotating = false;
+    btnAuto.classList.remove("on");
+    if (timer) { timer.stop(); timer = null; scheduleHashUpdate(); }
+  }
+
+  btnAuto.addEventListener("click", () => {
+    userWantsAuto = !userWantsAuto;
+    if (userWantsAuto) startAutoRotate();
+    else stopAutoRotate();
+    scheduleHashUpdate();
+  });
+
+  // drag rotate
+  let last = null;
+  let wasRotatingBeforeDrag = false;
+  svg.call(
+    d3.drag()
+      .on("start", (event) => { svg.interrupt(); last = [event.x, event.y]; wasRotatingBeforeDrag = rotating; stopAutoRotate(); })
+      .on("drag", (event) => {
+        event.sourceEvent?.preventDefault?.();
+        if (!last || !projection.rotate) return;
+
+        const dx = event.x - last[0];
+        const dy = event.y - last[1];
+        last = [event.x, event.y];
+
+        const k = 0.25;
+        const r = projection.rotate();
+        projection.rotate([r[0] + dx * k, r[1] - dy * k, r[2] || 0]);
+        path = d3.geoPath(projection);
+        redraw();
+      })
+      .on("end", () => { last = null; scheduleHashUpdate(); if (wasRotatingBeforeDrag) startAutoRotate(); })
+  );
+
+  // --- keyboard + screen reader ---
+  const srStatus = part("srStatus");
+  const KEY_ROTATE_DEG = 10;
+  const KEY_ZOOM_STEP = 1.5;
+
+  let kbDomain = null;              // site under the keyboard cursor (globe focused)
+
+  // "example.org, EDGE / CDN, hosted in Brussels, Belgium"
+  function siteDescription(d) {
+    const place = [d.geo_city, d.geo_country].filter(Boolean).join(", ");
+    return `${d.domain}, ${classLabel(d.host_edge)}${place ? `, hosted in ${place}` : ""}, ${formatKm(homeKm(d))} from ${home.name}`;
+  }
+
+  function announce(text) {
+    // clear first so repeating the same text is announced again
+    srStatus.textContent = "";
+    setTimeout(() => { srStatus.textContent = text; }, 30);
+  }
+
+  // visible sites in the order of the Sites list (any grouping)
+  function siteOrder() {
+    const visible = new Map(currentPoints.map(d => [d.domain, d]));
+    const seen = new Set();
+    const out = [];
+    for (const el of siteScroll.querySelectorAll(".siteItem:not(.unlocated)")) {
+      const d = visible.get(el.dataset.domain);
+      if (d && !seen.has(d.domain)) { seen.add(d.domain); out.push(d); }
+    }
+    return out;
+  }
+
+  function focusSite(d, i, n) {
+    kbDomain = d.domain;
+    stopAutoRotate();
+    if (d.__cluster) { spiderKey = d.__cluster.key; render(); }
+    highlightDomain(d.domain);
+    announce(`${siteDescription(d)}. ${i + 1} of ${n}.`);
+
+    // bring it round without opening the popup
+    if (!isOnScreen(d)) flyToPoint(d, { zoomIn: false, open: false });
+  }
+
+  // returns false at either end, so Tab can leave the globe
+  function stepSite(dir) {
+    const order = siteOrder();
+    if (!order.length) return false;
+
+    const i = order.findIndex(d => d.domain === kbDomain);
+    const next = i < 0 ? (dir > 0 ? 0 : order.length - 1) : i + dir;
+    if (next < 0 || next >= order.length) return false;
+
+    focusSite(order[next], next, order.length);
+    return true;
+  }
+
+  function rotateBy(dLon, dLat) {
+    if (!projection.rotate) return;
+    stopAutoRotate();
+    const r = projection.rotate();
+    projection.rotate([r[0] + dLon, Math.max(-90, Math.min(90, r[1] + dLat)), r[2] || 0]);
+    path = d3.geoPath(projection);
+    redraw();
+    scheduleHashUpdate();
+  }
+
+  svg
+    .attr("tabindex", 0)
+    .attr("role", "application")
+    .attr("aria-roledescription", "globe")
+    .attr("aria-label", "Host map. Arrow keys rotate, plus and minus zoom, Tab steps through the sites, Enter opens the selected site, Escape closes it.");
+
+  svg.on("keydown", (event) => {
+    const k = event.key;
+
+    if (k === "ArrowLeft" || k === "ArrowRight") rotateBy(k === "ArrowLeft" ? KEY_ROTATE_DEG : -KEY_ROTATE_DEG, 0);
+    else if (k === "ArrowUp" || k === "ArrowDown") rotateBy(0, k === "ArrowUp" ? -KEY_ROTATE_DEG : KEY_ROTATE_DEG);
+    else if (k === "+" || k === "=") svg.transition().duration(REDUCED_MOTION ? 0 : 200).call(zoom.scaleBy, KEY_ZOOM_STEP, [w / 2, h / 2]);
+    else if (k === "-" || k === "_") svg.transition().duration(REDUCED_MOTION ? 0 : 200).call(zoom.scaleBy, 1 / KEY_ZOOM_STEP, [w / 2, h / 2]);
+    else if (k === "Tab") {
+      if (!stepSite(event.shiftKey ? -1 : 1)) { kbDomain = null; clearHighlight(); return; }
+    } else if (k === "Enter" || k === " ") {
+      const d = currentPoints.find(x => x.domain === kbDomain);
+      if (!d) return;
+      if (isOnScreen(d)) openPopupForPoint(d);
+      else flyToPoint(d);
+      announce(`Opened ${d.domain}.`);
+    } else return;
+
+    event.preventDefault();
+  });
+
+  svg.on("blur", () => {
+    if (!kbDomain) return;
+    kbDomain = null;
+    clearHighlight();
+  });
+
+  // Sites list: Up/Down move between entries, Enter opens (the item's click)
+  siteScroll.addEventListener("keydown", (e) => {
+    const item = e.target.closest(".siteItem");
+    if (!item) return;
+
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      item.click();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const items = Array.from(siteScroll.querySelectorAll(".siteItem"));
+      items[items.indexOf(item) + (e.key === "ArrowDown" ? 1 : -1)]?.focus();
+    }
+  });
+
+  siteScroll.addEventListener("focusin", (e) => {
+    const item = e.target.closest(".siteItem");
+    const d = item && currentPoints.find(x => x.domain === item.dataset.domain);
+    if (!d) { if (item) announce(`${item.dataset.domain}, no coordinates.`); return; }
+    highlightDomain(d.domain);
+    announce(siteDescription(d));
+  });
+  siteScroll.addEventListener("focusout", () => clearHighlight());
+
+  // --- data load ---
+  async function loadRules() {
+    try {
+      setHostingRules(options.rules && typeof options.rules === "object" ? options.rules : await d3.json(urls.rules));
+    } catch (e) {
+      if (options.rules && typeof options.rules === "object") console.warn("Hosting rules not usable, using the HOST / EDGE keyword split:", e);
+      else noteLoadError("Hosting rules", urls.rules, e, "classes fall back to the HOST / EDGE keyword split");
+      setHostingRules(DEFAULT_RULES);
+    }
+  }
+
+  // in-memory replacements for the bundled CSVs (options or drag-and-drop); null = fetch the file
+  const rowsOption = (v) => Array.isArray(v) ? v : null;
+  const dataSources = {
+    hostRows: rowsOption(options.hostmap),        // hostmap rows (domain, org, asn, lat, lon, …)
+    folderRows: rowsOption(options.folders),      // domains-by-folder rows (domain, folder_path, bookmark_count)
+    bookmarkRows: rowsOption(options.bookmarks),  // flat bookmark rows (folder_path, title, url, domain, add_date, …)
+    names: {}                                     // file names of the dropped replacements (diagnostics)
+  };
+  for (const [kind, v] of [["hostRows", options.hostmap], ["folderRows", options.folders], ["bookmarkRows", options.bookmarks]]) {
+    if (rowsOption(v)) dataSources.names[kind] = `${kind} (options)`;
+  }
+
+  // tolerated header names per field; the first one present in a row wins
+  const HOST_FIELDS = {
+    domain: ["domain", "Domain", "host", "hostname"],
+    org: ["org", "Org", "owner", "holder"],
+    asn: ["asn", "ASN"],
+    ipv4: ["ipv4", "ip", "IP"],
+    geo_country: ["geo_country", "country", "Country"],
+    geo_city: ["geo_city", "city", "City"],
+    lat: ["lat", "latitude", "Lat", "Latitude"],
+    lon: ["lon", "lng", "longitude", "Lon", "Longitude"],
+    bookmark_count: ["bookmark_count", "bookmarks", "count", "visits_last7days"]
+  };
+
+  const FOLDER_FIELDS = {
+    domain: ["domain", "Domain", "host", "hostname", "site"],
+    folder_path: ["folder_path", "folder", "path", "Folder", "FOLDER"],
+    bookmark_count: ["bookmark_count", "count", "Count", "n", "N"]
+  };
+
+  const BOOKMARK_FIELDS = {
+    domain: ["domain", "Domain", "host"],
+    title: ["title", "Title", "name"],
+    url: ["url", "URL", "href"],
+    folder_path: ["folder_path", "folder", "path"],
+    add_date: ["add_date", "ADD_DATE"],
+    last_modified: ["last_modified", "LAST_MODIFIED"]
+  };
+
+  function field(row, aliases, fallback = "") {
+    for (const name of aliases) if (row[name] != null) return row[name];
+    return fallback;
+  }
+
+  // blank cells (failed geolocation in the exporter) are missing, not 0
+  function coordinate(v) {
+    return String(v).trim() === "" ? NaN : +v;
+  }
+
+  function parseHostRow(r) {
+    const domain = normalizeDomain(field(r, HOST_FIELDS.domain));
+    const org = field(r, HOST_FIELDS.org).toString().trim();
+    const asn = field(r, HOST_FIELDS.asn).toString().trim();
+
+    return {
+      domain,
+      org,
+      asn,
+      ipv4: field(r, HOST_FIELDS.ipv4).toString().trim(),
+      geo_country: field(r, HOST_FIELDS.geo_country).toString().trim(),
+      geo_city: field(r, HOST_FIELDS.geo_city).toString().trim(),
+      // tolerate different count fields (bookmark_count preferred)
+      bookmark_count: +field(r, HOST_FIELDS.bookmark_count, 0),
+      host_edge: classifyHostEdge(domain, org, asn),
+      lat: coordinate(field(r, HOST_FIELDS.lat, NaN)),
+      lon: coordinate(field(r, HOST_FIELDS.lon, NaN))
+    };
+  }
+
+  function parseFolderRow(d) {
+    return {
+      domain: normalizeDomain(field(d, FOLDER_FIELDS.domain)),
+      folder_path: cleanFolderPath(field(d, FOLDER_FIELDS.folder_path).toString()),
+      bookmark_count: +field(d, FOLDER_FIELDS.bookmark_count, 1)
+    };
+  }
+
+  function parseBookmarkRow(d) {
+    return {
+      domain: normalizeDomain(field(d, BOOKMARK_FIELDS.domain)),
+      title: field(d, BOOKMARK_FIELDS.title).toString().trim(),
+      url: field(d, BOOKMARK_FIELDS.url).toString().trim(),
+      folder_path: cleanFolderPath(field(d, BOOKMARK_FIELDS.folder_path).toString()),
+      add_date: parseEpoch(field(d, BOOKMARK_FIELDS.add_date, null)),
+      last_modified: parseEpoch(field(d, BOOKMARK_FIELDS.last_modified, null))
+    };
+  }
+
+  // parsed rows of the current data set (rebuilt per collection without refetching)
+  let loadedRows = { points: [], hostRows: [], folderRows: [], bookmarkRows: [], folderFile: "", bookmarkFile: "" };
+
+  async function loadData(sources = dataSources) {
+    // 0) Hosting classes (colours, legend, classifier)
+    await loadRules();
+
+    // 1) Load hostmap CSV (defines what can appear on the globe)
+    let hostRows;
+    try {
+      hostRows = sources.hostRows ?? await d3.csv(urls.hostmap);
+    } catch (e) {
+      noteLoadError("Hostmap CSV", urls.hostmap, e, "there are no sites to place on the map");
+      return;
+    }
+
+    diagnostics = emptyDiagnostics();
+    const hostFile = sourceName(sources, "hostRows", urls.hostmap);
+    noteHeaders(hostFile, hostRows, HOST_FIELDS);
+
+    // Build points (only rows with lat/lon)
+    const pts = [];
+    hostRows.forEach((r, i) => {
+      const d = parseHostRow(r);
+      if (!d.domain) noteDropped(hostFile, i, "", "no domain");
+      else if (!Number.isFinite(d.lat) || !Number.isFinite(d.lon)) noteDropped(hostFile, i, d.domain, "no usable lat/lon");
+      else pts.push(d);
+    });
+    noteDuplicates(hostFile, hostRows, r => field(r, HOST_FIELDS.domain));
+
+    // 2) Load folders CSV (optional but needed for grouping + popup folder list)
+    let folderRows = [];
+    const folderFile = sourceName(sources, "folderRows", urls.folders);
+    try {
+      const raw = sources.folderRows ?? await d3.csv(urls.folders);
+      noteHeaders(folderFile, raw, FOLDER_FIELDS);
+      noteDuplicates(folderFile, raw, r => field(r, FOLDER_FIELDS.domain), r => cleanFolderPath(field(r, FOLDER_FIELDS.folder_path).toString()));
+      folderRows = raw.map(parseFolderRow);
+    } catch (e) {
+      diagnostics.errors.push(`${folderFile}: ${e.message}`);
+      if (sources.folderRows) console.warn("Folders CSV not parseable:", e);
+      else noteLoadError("Folders CSV", urls.folders, e, "no folder grouping or collections");
+    }
+
+    // 3) Load individual bookmarks (optional: popup bookmark list)
+    let bookmarkRows = [];
+    const bookmarkFile = sourceName(sources, "bookmarkRows", urls.bookmarks);
+    try {
+      const raw = sources.bookmarkRows ?? await d3.csv(urls.bookmarks);
+      noteHeaders(bookmarkFile, raw, BOOKMARK_FIELDS);
+      bookmarkRows = raw.map(parseBookmarkRow);
+    } catch (e) {
+      diagnostics.errors.push(`${bookmarkFile}: ${e.message}`);
+      if (sources.bookmarkRows) console.warn("Bookmarks CSV not parseable:", e);
+      else noteLoadError("Bookmarks CSV", urls.bookmarks, e, "popups list no individual bookmarks");
+    }
+
+    loadedRows = { points: pts, hostRows, folderRows, bookmarkRows, folderFile, bookmarkFile };
+    findCollections();
+
+    closePopup();
+    buildCollections();
+    setupTimeline();
+    applyFilters();
+  }
+
+  // "Try again" in the load error panel: refetch only what failed
+  async function retryLoad() {
+    const failed = new Set(loadErrors.map(e => e.url));
+    loadErrors = [];
+    renderLoadErrors();
+    if (failed.has(urls.atlas) && await loadAtlas()) {
+      setProjection(projSelect.value, countries);
+      render();
+    }
+    if (failed.has(urls.cities)) loadCities();
+    if ([urls.rules, urls.hostmap, urls.folders, urls.bookmarks].some(u => failed.has(u))) await loadData();
+  }
+
+  // root folders present in the data (first segment after the export containers)
+  function findCollections() {
+    const byRoot = new Map();
+    for (const r of [...loadedRows.folderRows, ...loadedRows.bookmarkRows]) {
+      const name = r.folder_path.split(" / ")[0];
+      if (!name || !r.domain) continue;
+      const key = name.toLowerCase();
+      if (!byRoot.has(key)) byRoot.set(key, { key, name, domains: new Set() });
+      byRoot.get(key).domains.add(r.domain);
+    }
+
+    collections = Array.from(byRoot.values())
+      .map(c => ({ ...c, domains: c.domains.size }))
+      .sort((a, b) => b.domains - a.domains || a.name.localeCompare(b.name));
+
+    // keep the selection if it still exists, else fall back to the default root(s) / the largest collection
+    const keys = new Set(collections.map(c => c.key));
+    selectedRoots = selectedRoots.filter(k => keys.has(k));
+    if (!selectedRoots.length) selectedRoots = defaultRoots.filter(k => keys.has(k));
+    if (!selectedRoots.length) selectedRoots = collections.length ? [collections[0].key] : defaultRoots.slice();
+    renderCollections();
+  }
+
+  function collectionName(key) {
+    return collections.find(c => c.key === key)?.name ?? (key ? key[0].toUpperCase() + key.slice(1) : "");
+  }
+
+  function collectionColor(key) {
+    const i = collections.findIndex(c => c.key === key);
+    return COLLECTION_COLORS[(i < 0 ? 0 : i) % COLLECTION_COLORS.length];
+  }
+
+  function colorByCollection() {
+    return colorBy === "collection" && selectedRoots.length > 1;
+  }
+
+  // what a dot is coloured by: its class, or its collection when several are compared
+  function colorKey(d) {
+    if (!colorByCollection()) return d.host_edge;
+    return d.collections?.length === 1 ? d.collections[0] : "*";
+  }
+
+  function colorOfKey(key) {
+    if (!colorByCollection()) return COLOR(key);
+    return key === "*" ? MULTI_COLLECTION_COLOR : collectionColor(key);
+  }
+
+  function colorKeyLabel(key) {
+    if (!colorByCollection()) return classLabel(key);
+    return key === "*" ? "in several" : collectionName(key);
+  }
+
+  function pointColor(d) {
+    return colorOfKey(colorKey(d));
+  }
+
+  // folder maps, bookmarks and globe points for the selected root folder(s)
+  function buildCollections() {
+    const pts = loadedRows.points;
+    // the search text includes folder names, which change with the selected collections
+    for (const d of pts) d.__hay = null;
+
+    // Domains on globe (normalized, no www., with coordinates)
+    domainsOnGlobe = new Set(pts.map(d => d.domain));
+
+    // collection domains we know from folders/bookmarks but cannot place
+    const unlocated = new Set();
+    const inCollection = new Map();   // domain -> Set of root keys
+    const addTo = (domain, root) => {
+      if (!inCollection.has(domain)) inCollection.set(domain, new Set());
+      inCollection.get(domain).add(root);
+    };
+
+    // Reset folder maps
+    domainFolders = new Map();
+    folderToDomains = new Map();
+
+    // Only folders under a selected root (anywhere in the path); domains without coordinates are "unlocated"
+    const { folderFile, bookmarkFile } = loadedRows;
+    diagnostics.collectionDropped = [];
+    loadedRows.folderRows.forEach((r, i) => {
+      if (!r.domain) noteDropped(folderFile, i, "", "no domain", true);
+      else if (!isCollectionFolder(r.folder_path)) noteDropped(folderFile, i, r.domain, "outside the selected collection(s)", true);
+      else if (!domainsOnGlobe.has(r.domain)) noteDropped(folderFile, i, r.domain, "domain not on the globe", true);
+    });
+
+    const citAll = loadedRows.folderRows.filter(r => r.domain && isCollectionFolder(r.folder_path));
+    for (const r of citAll) {
+      if (!domainsOnGlobe.has(r.domain)) unlocated.add(r.domain);
+      else addTo(r.domain, collectionOf(r.folder_path));
+    }
+    const cit = citAll.filter(r => domainsOnGlobe.has(r.domain));
+
+    // --- domain -> folders (ALL folders, sorted by count desc) ---
+    const tmpDom = new Map();
+    for (const r of cit) {
+      if (!tmpDom.has(r.domain)) tmpDom.set(r.domain, []);
+      tmpDom.get(r.domain).push({
+        folder_path: r.folder_path,
+        bookmark_count: r.bookmark_count
+      });
+    }
+    for (const [dom, arr] of tmpDom.entries()) {
+      arr.sort((a, b) =>
+        (b.bookmark_count || 0) - (a.bookmark_count || 0) ||
+        (a.folder_path || "").localeCompare(b.folder_path || "")
+      );
+      domainFolders.set(dom, arr); // <-- ALL folders for popup
+    }
+
+    // --- folder -> unique domains (sorted) ---
+    const tmpFolder = new Map();
+    for (const r of cit) {
+      const fp = r.folder_path || collectionName(collectionOf(r.folder_path));
+      if (!tmpFolder.has(fp)) tmpFolder.set(fp, new Set());
+      tmpFolder.get(fp).add(r.domain);
+    }
+    for (const [fp, set] of tmpFolder.entries()) {
+      folderToDomains.set(fp, Array.from(set).sort((a, b) => a.localeCompare(b)));
+    }
+
+    // individual bookmarks in the selected collection(s)
+    domainBookmarks = new Map();
+    loadedRows.bookmarkRows.forEach((b, i) => {
+      if (!b.domain || !b.url) noteDropped(bookmarkFile, i, b.domain, b.domain ? "no URL" : "no domain", true);
+      else if (!isCollectionFolder(b.folder_path)) noteDropped(bookmarkFile, i, b.domain, "outside the selected collection(s)", true);
+      else if (!domainsOnGlobe.has(b.domain)) noteDropped(bookmarkFile, i, b.domain, "domain not on the globe", true);
+    });
+    for (const b of loadedRows.bookmarkRows) {
+      if (!b.domain || !b.url || !isCollectionFolder(b.folder_path)) continue;
+      if (!domainsOnGlobe.has(b.domain)) { unlocated.add(b.domain); continue; }
+      addTo(b.domain, collectionOf(b.folder_path));
+      if (!domainBookmarks.has(b.domain)) domainBookmarks.set(b.domain, []);
+      domainBookmarks.get(b.domain).push(b);
+    }
+    for (const arr of domainBookmarks.values()) {
+      arr.sort((a, b) => (b.add_date?.getTime() || 0) - (a.add_date?.getTime() || 0));
+    }
+
+    for (const d of pts) {
+      // collections the domain was saved in (in selection order)
+      const roots = inCollection.get(d.domain);
+      d.collections = roots ? selectedRoots.filter(k => roots.has(k)) : [];
+      // first time each domain was bookmarked (timeline)
+      d.first_added = d3.min(domainBookmarks.get(d.domain) || [], b => b.add_date) || null;
+    }
+
+    // 4) Fallback so the left list is never empty
+    if (!folderToDomains || folderToDomains.size === 0) {
+      // If folders missing or the root filter didn't match, show all globe domains in one group
+      const all = Array.from(domainsOnGlobe).sort((a, b) => a.localeCompare(b));
+      folderToDomains = new Map([[`${collectionName(selectedRoots[0]) || "Citography"} (no folder match)`, all]]);
+
+      // ...and the hostmap rows that have no coordinates
+      for (const r of loadedRows.hostRows) {
+        const dom = normalizeDomain(field(r, HOST_FIELDS.domain));
+        if (dom && !domainsOnGlobe.has(dom)) unlocated.add(dom);
+      }
+      allPoints = pts;
+    } else {
+      // only domains saved in the selected collection(s) go on the globe
+      allPoints = pts.filter(d => d.collections.length);
+    }
+    unlocatedDomains = Array.from(unlocated).sort((a, b) => a.localeCompare(b));
+    updateHomeDistances();
+
+    // folders vs hostmap, in both directions
+    const hostDomains = new Set(loadedRows.hostRows.map(r => normalizeDomain(field(r, HOST_FIELDS.domain))));
+    const collected = new Set([
+      ...citAll.map(r => r.domain),
+      ...loadedRows.bookmarkRows.filter(b => b.domain && isCollectionFolder(b.folder_path)).map(b => b.domain)
+    ]);
+    diagnostics.folderOnly = Array.from(collected).filter(dom => !hostDomains.has(dom)).sort();
+    diagnostics.hostOnly = collected.size ? pts.filter(d => !collected.has(d.domain)).map(d => d.domain).sort() : [];
+    diagnostics.noShape = allPoints.filter(lacksCountryShape).map(d => ({ domain: d.domain, country: d.geo_country }))
+      .sort((a, b) => a.country.localeCompare(b.country) || a.domain.localeCompare(b.domain));
+    renderDiagnostics();
+    computeComparison();
+
+    // a folder filter survives only if the folder still exists
+    if (filters.folder && !folderSubtreeDomains(filters.folder).size) filters.folder = null;
+    folderFilterSet = filters.folder ? folderSubtreeDomains(filters.folder) : null;
+  }
+
+  // --- collections (root folders) ---
+  const collectionsEl = part("collections");
+
+  function renderCollections() {
+    collectionsEl.innerHTML = "";
+    collectionsEl.style.display = collections.length > 1 ? "" : "none";
+
+    for (const c of collections) {
+      const on = selectedRoots.includes(c.key);
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = on ? "collection on" : "collection";
+      b.title = `${c.domains} domains — click to show/hide this collection`;
+      b.innerHTML = `<span class="swatch" style="background:${collectionColor(c.key)}"></span>${escapeHtml(c.name)}`;
+      b.addEventListener("click", () => toggleCollection(c.key));
+      collectionsEl.appendChild(b);
+    }
+
+    // colour toggle only matters when comparing collections
+    if (selectedRoots.length > 1) {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "collectionColor";
+      b.textContent = colorBy === "collection" ? "colour: collection" : "colour: class";
+      b.title = "Colour dots by hosting class or by collection";
+      b.addEventListener("click", () => {
+        colorBy = colorBy === "collection" ? "class" : "collection";
+        renderCollections();
+        applyFilters();
+      });
+      collectionsEl.appendChild(b);
+    }
+  }
+
+  function setSelectedRoots(keys) {
+    const known = new Set(collections.map(c => c.key));
+    const next = keys.filter(k => known.has(k));
+    if (!next.length) return;
+    selectedRoots = next;
+
+    closePopup();
+    buildCollections();
+    renderCollections();
+    setupTimeline();
+    applyFilters();
+  }
+
+  function isDefaultRoots() {
+    return selectedRoots.join(",") === defaultRoots.join(",");
+  }
+
+  function toggleCollection(key) {
+    const on = selectedRoots.includes(key);
+    if (on && selectedRoots.length === 1) return;     // always keep one
+    setSelectedRoots(on ? selectedRoots.filter(k => k !== key) : [...selectedRoots, key]);
+  }
+
+  // --- snapshot comparison (an earlier hostmap CSV vs the loaded one) ---
+  const comparePanel = part("compare");
+  const compareBody = part("compareBody");
+  const compareToggle = part("compareToggle");
+  const compareInput = part("compareInput");
+
+  let snapshot = null;              // { name, byDomain, removed, counts } while comparing
+  let compareOpen = false;
+
+  // domain -> earlier row; later rows for the same domain are ignored (see Data check)
+  function setSnapshot(name, rows) {
+    const byDomain = new Map();
+    for (const r of rows) {
+      const d = parseHostRow(r);
+      if (d.domain && !byDomain.has(d.domain)) byDomain.set(d.domain, d);
+    }
+    snapshot = { name, byDomain, removed: [], counts: {} };
+    computeComparison();
+    setCompareOpen(true);
+    applyFilters();
+  }
+
+  function clearSnapshot() {
+    snapshot = null;
+    for (const d of loadedRows.points) d.change = null;
+    setCompareOpen(false);
+    applyFilters();
+  }
+
+  function hasPosition(d) {
+    return Number.isFinite(d.lat) && Number.isFinite(d.lon);
+  }
+
+  // tags every loaded point with its changes since the snapshot
+  function computeComparison() {
+    if (!snapshot) return;
+    const counts = { new: 0, relocated: 0, reclassified: 0, removed: 0, unchanged: 0 };
+
+    for (const d of loadedRows.points) {
+      const old = snapshot.byDomain.get(d.domain);
+      d.change = [];
+      if (!old) d.change.push("new");
+      else {
+        if (hasPosition(old) && d3.geoDistance([old.lon, old.lat], [d.lon, d.lat]) * EARTH_RADIUS_KM > RELOCATE_KM) d.change.push("relocated");
+        if (old.host_edge !== d.host_edge) d.change.push("reclassified");
+      }
+    }
+
+    // counted over the drawn collection(s), the same points the table lists
+    for (const d of allPoints) {
+      d.change.forEach(c => counts[c]++);
+      if (!d.change.length) counts.unchanged++;
+    }
+
+    // gone from the new hostmap altogether (rows without coordinates still count as present)
+    const present = new Set(loadedRows.hostRows.map(r => normalizeDomain(field(r, HOST_FIELDS.domain))));
+    snapshot.removed = Array.from(snapshot.byDomain.values())
+      .filter(old => !present.has(old.domain))
+      .map(old => ({ ...old, change: ["removed"] }));
+    counts.removed = snapshot.removed.length;
+
+    snapshot.counts = counts;
+  }
+
+  function isChanged(d) {
+    return !!d.change?.length;
+  }
+
+  function changeColor(d) {
+    return isChanged(d) ? CHANGE_STYLES[d.change[0]].color : null;
+  }
+
+  // removed domains at their old position, same query / class filters as the dots
+  function removedToDraw() {
+    if (!snapshot || isChoropleth()) return [];
+    return snapshot.removed.filter(g =>
+      hasPosition(g) &&
+      matchesQuery(g, filters.query) &&
+      !(filters.classMode === "hide" && filters.hiddenClasses.has(g.host_edge))
+    );
+  }
+
+  // old -> new position of the visible relocated dots
+  function moveArcsToDraw() {
+    if (!snapshot || isChoropleth()) return [];
+    return currentPoints
+      .filter(d => d.change?.includes("relocated"))
+      .map(d => {
+        const old = snapshot.byDomain.get(d.domain);
+        return { d, geometry: { type: "LineString", coordinates: [[old.lon, old.lat], [d.lon, d.lat]] } };
+      });
+  }
+
+  function placeLabel(d) {
+    return [d.geo_city, d.geo_country].filter(Boolean).join(", ") || "—";
+  }
+
+  // "HOST → EDGE / CDN" etc. for one point
+  function changeNote(d) {
+    const old = snapshot?.byDomain.get(d.domain);
+    return (d.change || []).map(c => {
+      if (c === "relocated") {
+        const km = Math.round(d3.geoDistance([old.lon, old.lat], [d.lon, d.lat]) * EARTH_RADIUS_KM);
+        return `moved ${d3.format(",")(km)} km: ${placeLabel(old)} → ${placeLabel(d)}`;
+      }
+      if (c === "reclassified") return `class: ${classLabel(old.host_edge)} → ${classLabel(d.host_edge)}`;
+      if (c === "removed") return `removed (was ${placeLabel(d)})`;
+      return `new (${placeLabel(d)})`;
+    });
+  }
+
+  function renderCompare() {
+    compareToggle.textContent = snapshot ? "Compare · on" : "Compare…";
+    if (!compareOpen || !snapshot) return;
+
+    const c = snapshot.counts;
+    const changed = allPoints.filter(isChanged);
+    const rows = [...changed, ...snapshot.removed]
+      .sort((a, b) => d3.ascending(CHANGE_ORDER.indexOf(a.change[0]), CHANGE_ORDER.indexOf(b.change[0])) || a.domain.localeCompare(b.domain));
+
+    compareBody.innerHTML = `
+      <div class="statNote">${escapeHtml(snapshot.name)} → current hostmap</div>
+      <div class="compareCounts">
+        ${CHANGE_ORDER.map(k => `<span><i class="changeKey" style="border-color:${CHANGE_STYLES[k].color}"></i>${CHANGE_STYLES[k].label} ${c[k]}</span>`).join("")}
+        <span>unchanged ${c.unchanged}</span>
+      </div>
+      <div class="compareActions">
+        <button type="button" class="ui-font" data-act="load">Other snapshot…</button>
+        <button type="button" class="ui-font" data-act="clear">Stop comparing</button>
+      </div>
+      <table class="compareTable">
+        <thead><tr><th>Domain</th><th>Change</th></tr></thead>
+        <tbody>
+          ${rows.map(d => `
+            <tr data-domain="${escapeHtml(d.domain)}" class="${d.change[0] === "removed" ? "removed" : ""}">
+              <td>${escapeHtml(d.domain)}</td>
+              <td>${changeNote(d).map(escapeHtml).join("<br>")}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>`;
+  }
+
+  compareBody.addEventListener("click", (e) => {
+    const act = e.target.closest("button")?.dataset.act;
+    if (act === "load") { compareInput.click(); return; }
+    if (act === "clear") { clearSnapshot(); return; }
+
+    const tr = e.target.closest("tr[data-domain]");
+    const p = tr && currentPoints.find(x => x.domain === tr.dataset.domain);
+    if (!p) return;
+    if (p.__cluster) { spiderKey = p.__cluster.key; render(); }
+    if (isOnScreen(p)) openPopupForPoint(p);
+    else flyToPoint(p);
+  });
+
+  // top-right corner: one panel at a time
+  function setCompareOpen(open) {
+    compareOpen = open && !!snapshot;
+    comparePanel.style.display = compareOpen ? "block" : "none";
+    compareToggle.classList.toggle("on", compareOpen);
+    if (compareOpen && statsOpen) setStatsOpen(false);
+    if (compareOpen && diagOpen) setDiagOpen(false);
+    renderCompare();
+  }
+
+  compareToggle.addEventListener("click", () => {
+    if (!snapshot) compareInput.click();
+    else setCompareOpen(!compareOpen);
+  });
+
+  compareInput.addEventListener("change", async () => {
+    const file = compareInput.files?.[0];
+    compareInput.value = "";
+    if (!file) return;
+    try {
+      const rows = d3.csvParse(await file.text());
+      if (csvKind(rows.columns || []) !== "hostRows") throw new Error("not a hostmap CSV (needs domain, lat, lon)");
+      setSnapshot(file.name, rows);
+      const c = snapshot.counts;
+      showToast(`Compared with ${file.name}: ${c.new} new, ${c.removed} removed, ${c.relocated} relocated, ${c.reclassified} reclassified.`);
+    } catch (err) {
+      showToast(`Could not compare: ${err.message}`);
+    }
+  });
+
+  // --- diagnostics (dropped rows, unmatched domains, duplicates, headers) ---
+  const diagPanel = part("diagnostics");
+  const diagBody = part("diagBody");
+  const diagToggle = part("diagToggle");
+  const DIAG_LIST_MAX = 200;
+
+  function emptyDiagnostics() {
+    return {
+      errors: [],                   // files that failed to load
+      dropped: [],                  // { file, row, domain, reason } while parsing
+      collectionDropped: [],        // same, for the selected collection(s); rebuilt on switch
+      duplicates: [],               // { file, domain, where, spellings, n }
+      headers: [],                  // { file, field, column } (column null = not found)
+      folderOnly: [],               // collection domains without a hostmap row
+      hostOnly: [],                 // located hostmap domains outside the selected collection(s)
+      noShape: []                   // { domain, country } drawn, but their country has no atlas shape
+    };
+  }
+
+  let diagnostics = emptyDiagnostics();
+  let diagOpen = false;
+
+  function sourceName(sources, kind, url) {
+    return sources.names?.[kind] ?? url.replace(/^\.\//, "");
+  }
+
+  function noteHeaders(file, rows, fields) {
+    const columns = rows.columns ?? Object.keys(rows[0] || {});
+    for (const [name, aliases] of Object.entries(fields)) {
+      diagnostics.headers.push({ file, field: name, column: aliases.find(a => columns.includes(a)) ?? null });
+    }
+  }
+
+  // `row` counts data rows from 1 (the CSV header is not a row)
+  function noteDropped(file, i, domain, reason, perCollection = false) {
+    (perCollection ? diagnostics.collectionDropped : diagnostics.dropped).push({ file, row: i + 1, domain, reason });
+  }
+
+  // rows that only differ before normalizeDomain (www., case, spaces); `scope` = same folder etc.
+  function noteDuplicates(file, rows, rawDomain, scope = () => "") {
+    const groups = d3.group(rows, r => normalizeDomain(rawDomain(r).toString()), scope);
+    for (const [domain, byScope] of groups) {
+      if (!domain) continue;
+      for (const [where, rs] of byScope) {
+        if (rs.length < 2) continue;
+        const spellings = Array.from(new Set(rs.map(r => rawDomain(r).toString().trim())));
+        diagnostics.duplicates.push({ file, domain, where, spellings, n: rs.length });
+      }
+    }
+  }
+
+  function diagIssueCount() {
+    const d = diagnostics;
+    return d.errors.length + d.dropped.length + d.duplicates.length + d.folderOnly.length;
+  }
+
+  function diagList(items, fmt) {
+    const more = items.length - DIAG_LIST_MAX;
+    return `<div class="diagList">
+      ${items.slice(0, DIAG_LIST_MAX).map(it => `<div>${fmt(it)}</div>`).join("")}
+      ${more > 0 ? `<div class="diagMore">… ${more} more</div>` : ""}
+    </div>`;
+  }
+
+  function diagSection(title, items, fmt, open = false) {
+    return `<details class="diagSection"${open ? " open" : ""}>
+      <summary>${escapeHtml(title)} <span class="diagCount">${items.length}</span></summary>
+      ${items.length ? diagList(items, fmt) : `<div class="diagList diagMore">none</div>`}
+    </details>`;
+  }
+
+  function renderDiagnostics() {
+    const issues = diagIssueCount();
+    diagToggle.textContent = issues ? `Data check · ${issues}` : "Data check";
+
+    if (!diagOpen) return;
+    const d = diagnostics;
+    const row = r => `<span class="diagRow">row ${r.row}</span> ${escapeHtml(r.domain || "—")}`;
+
+    // dropped rows, one block per file + reason
+    const dropped = d3.groups([...d.dropped, ...d.collectionDropped], r => `${r.file} — ${r.reason}`)
+      .map(([title, rows]) => diagSection(title, rows, row))
+      .join("");
+
+    const headers = d3.groups(d.headers, hd => hd.file).map(([file, hs]) => `
+      <div class="diagFile">${escapeHtml(file)}</div>
+      ${hs.map(hd => `
+        <div class="diagHeader${hd.column ? "" : " missing"}">
+          <span>${escapeHtml(hd.field)}</span>
+          <span>${hd.column ? `← ${escapeHtml(hd.column)}` : "not found"}</span>
+        </div>`).join("")}`).join("");
+
+    diagBody.innerHTML = `
+      ${d.errors.length ? `<div class="diagErrors">${d.errors.map(escapeHtml).join("<br>")}</div>` : ""}
+      <div class="statTitle">Dropped rows</div>
+      ${dropped || `<div class="diagMore">none</div>`}
+      <div class="statTitle">Folders vs hostmap</div>
+      ${diagSection("In the folders, missing from the hostmap", d.folderOnly, escapeHtml)}
+      ${diagSection("In the hostmap, in no selected collection", d.hostOnly, escapeHtml)}
+      ${diagSection("Country not in the world map (left unshaded by the choropleth)", d.noShape, x =>
+        `${escapeHtml(x.domain)} <span class="diagRow">${escapeHtml(x.country)}</span>`)}
+      <div class="statTitle">Duplicates after normalising</div>
+      ${diagSection("Same domain in several rows", d.duplicates, x =>
+        `${escapeHtml(x.spellings.join(" / "))} <span class="diagRow">${x.n}× in ${escapeHtml(x.file)}${x.where ? `, ${escapeHtml(x.where)}` : ""}</span>`)}
+      <div class="statTitle">Columns used</div>
+      ${headers}`;
+  }
+
+  function setDiagOpen(open) {
+    diagOpen = open;
+    diagPanel.style.display = open ? "block" : "none";
+    diagToggle.classList.toggle("on", open);
+    if (open && statsOpen) setStatsOpen(false);
+    if (open && compareOpen) setCompareOpen(false);
+    renderDiagnostics();
+  }
+
+  diagToggle.addEventListener("click", () => {
+    setDiagOpen(!diagOpen);
+    scheduleHashUpdate();
+  });
+
+  // --- local data (drag-and-drop CSVs / Netscape Bookmarks.html) ---
+  const dropZone = part("dropZone");
+  const fileInput = part("fileInput");
+
+  function getDomainFromUrl(url) {
+    try {
+      return new URL(url).hostname.toLowerCase() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // same walk as BookmarksHTMLParser in build_host_map_references.py:
+  // an <H3> names the folder whose contents are the next <DL>
+  function parseBookmarksHtml(text) {
+    const doc = new DOMParser().parseFromString(text, "text/html");
+    const items = [];
+    const stack = [];
+    let pending = null;
+
+    (function walk(el) {
+      for (const child of el.children) {
+        const tag = child.tagName;
+        if (tag === "H3") {
+          pending = child.textContent.trim() || null;
+        } else if (tag === "A") {
+          const href = (child.getAttribute("href") || "").trim();
+          if (href) {
+            items.push({
+              folder_path: stack.join(" / "),
+              title: child.textContent.trim(),
+              url: href,
+              domain: getDomainFromUrl(href) || "",
+              add_date: child.getAttribute("add_date") || "",
+              last_modified: child.getAttribute("last_modified") || ""
+            });
+          }
+        } else if (tag === "DL") {
+          const opened = pending;
+          pending = null;
+          if (opened) stack.push(opened);
+          walk(child);
+          if (opened) stack.pop();
+        } else {
+          walk(child);
+        }
+      }
+    })(doc.body);
+
+    // domains_by_folder.csv equivalent
+    const counts = d3.rollup(items.filter(b => b.domain), v => v.length, b => b.domain, b => b.folder_path);
+    const folders = [];
+    for (const [domain, byFolder] of counts) {
+      for (const [folder_path, bookmark_count] of byFolder) folders.push({ domain, folder_path, bookmark_count });
+    }
+
+    return { bookmarkRows: items, folderRows: folders };
+  }
+
+  // which bundled CSV a dropped file replaces, judged by its header
+  function csvKind(columns) {
+    const has = (names) => names.some(n => columns.includes(n));
+    if (has(HOST_FIELDS.lat) && has(HOST_FIELDS.lon)) return "hostRows";
+    if (has(BOOKMARK_FIELDS.url)) return "bookmarkRows";
+    if (has(FOLDER_FIELDS.folder_path)) return "folderRows";
+    return null;
+  }
+
+  async function loadLocalFiles(files) {
+    const loaded = [];
+    const skipped = [];
+
+    for (const file of files) {
+      const text = await file.text();
+      if (/\.html?$/i.test(file.name) || /^\s*<!DOCTYPE NETSCAPE-Bookmark-file/i.test(text)) {
+        const { bookmarkRows, folderRows } = parseBookmarksHtml(text);
+        dataSources.bookmarkRows = bookmarkRows;
+        dataSources.folderRows = folderRows;
+        dataSources.names.bookmarkRows = dataSources.names.folderRows = file.name;
+        loaded.push(`${file.name} (${bookmarkRows.length} bookmarks)`);
+        continue;
+      }
+
+      const rows = d3.csvParse(text);
+      const kind = csvKind(rows.columns || []);
+      if (!kind) { skipped.push(file.name); continue; }
+      dataSources[kind] = rows;
+      dataSources.names[kind] = file.name;
+      loaded.push(`${file.name} (${rows.length} rows)`);
+    }
+
+    if (loaded.length) {
+      const wasRotating = rotating;
+      stopAutoRotate();
+      await loadData(dataSources);
+      if (wasRotating) startAutoRotate();
+    }
+
+    const msg = [
+      loaded.length ? `Loaded ${loaded.join(", ")}.` : "",
+      unlocatedDomains.length ? `${unlocatedDomains.length} domains have no coordinates (listed as unlocated).` : "",
+      skipped.length ? `Not recognised: ${skipped.join(", ")}.` : ""
+    ].filter(Boolean).join(" ");
+    showToast(msg || "Nothing to load.");
+  }
+
+  let dragDepth = 0;
+  listen(root, "dragenter", (e) => {
+    if (!e.dataTransfer?.types?.includes("Files")) return;
+    dragDepth++;
+    dropZone.style.display = "flex";
+  });
+  listen(root, "dragleave", () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (!dragDepth) dropZone.style.display = "none";
+  });
+  listen(root, "dragover", (e) => e.preventDefault());
+  listen(root, "drop", (e) => {
+    e.preventDefault();
+    dragDepth = 0;
+    dropZone.style.display = "none";
+    const files = Array.from(e.dataTransfer?.files || []);
+    if (files.length) loadLocalFiles(files).catch(err => showToast(`Could not load: ${err.message}`));
+  });
+
+  part("loadFiles").addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    const files = Array.from(fileInput.files || []);
+    fileInput.value = "";
+    if (files.length) loadLocalFiles(files).catch(err => showToast(`Could not load: ${err.message}`));
+  });
+
+  // --- toast (short status messages) ---
+  const toast = part("toast");
+  let toastTimer = null;
+
+  function showToast(msg, ms = 5000) {
+    toast.textContent = msg;
+    toast.style.display = "block";
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => { toast.style.display = "none"; }, ms);
+  }
+
+  // --- timeline ---
+  const timeRange = part("timeRange");
+  const timePlay = part("timePlay");
+  const timeLabel = part("timeLabel");
+
+  let timeStart = null;             // day 0 of the slider (earliest first bookmark)
+  let timeDays = 0;                 // slider max; at max the filter is off (all dates)
+  let timePlayer = null;
+
+  // slider value (days) -> filters.until; the far right end means "no time filter".
+  // A day before day 0 (an earlier date from the hash or setFilter) is kept as is and
+  // shows nothing, with the slider parked at the left end.
+  function setTimelineDay(day) {
+    day = Math.min(timeDays, Math.round(day));
+    timeRange.value = Math.max(0, day);
+
+    if (!timeStart || day >= timeDays) {
+      filters.until = null;
+      timeLabel.textContent = "all dates";
+    } else {
+      // end of that day, so bookmarks made during it are included
+      filters.until = new Date(timeStart.getTime() + (day + 1) * DAY_MS - 1);
+      timeLabel.textContent = formatDate(filters.until);
+    }
+  }
+
+  function setupTimeline() {
+    stopTimeline();
+    const dates = allPoints.map(d => d.first_added).filter(Boolean);
+    if (!dates.length) {
+      timeStart = null;
+      timeDays = 0;
+      timeRange.max = 0;
+      part("timeline").style.display = "none";
+      setTimelineDay(0);
+      return;
+    }
+
+    const min = d3.min(dates);
+    timeStart = new Date(Date.UTC(min.getUTCFullYear(), min.getUTCMonth(), min.getUTCDate()));
+    timeDays = Math.ceil((d3.max(dates) - timeStart) / DAY_MS) + 1;
+    timeRange.max = timeDays;
+    part("timeline").style.display = "flex";
+
+    // keep a restored / previous date if it still falls inside the range
+    // (until is the end of its day, so floor back to that day)
+    setTimelineDay(filters.until ? Math.floor((filters.until - timeStart) / DAY_MS) : timeDays);
+  }
+
+  function stopTimeline() {
+    if (timePlayer) { timePlayer.stop(); timePlayer = null; }
+    timePlay.textContent = "▶";
+    timePlay.classList.remove("on");
+  }
+
+  // runs next to auto-rotate: both only ask for a redraw
+  function playTimeline() {
+    if (!timeDays) return;
+    if (+timeRange.value >= timeDays) setTimelineDay(0);
+
+    const step = Math.max(1, timeDays * TIME_TICK_MS / TIME_PLAY_MS);
+    timePlay.textContent = "❚❚";
+    timePlay.classList.add("on");
+
+    timePlayer = d3.interval(() => {
+      const next = +timeRange.value + step;
+      setTimelineDay(next);
+      applyFilters();
+      if (next >= timeDays) stopTimeline();
+    }, TIME_TICK_MS);
+  }
+
+  timePlay.addEventListener("click", () => {
+    if (timePlayer) stopTimeline();
+    else playTimeline();
+  });
+
+  timeRange.addEventListener("input", () => {
+    stopTimeline();
+    setTimelineDay(+timeRange.value);
+    applyFilters();
+  });
+
+  // --- statistics panel ---
+  const statsPanel = part("stats");
+  const statsBody = part("statsBody");
+  const statsToggle = part("statsToggle");
+  const STATS_TOP_N = 10;
+  const DISTANCE_STEP_KM = 2000;
+
+  let statsOpen = false;
+
+  function statMatches(d, stat) {
+    if (stat.kind === "org") return d.org === stat.key;
+    if (stat.kind === "asn") return d.asn === stat.key;
+    if (stat.kind === "country") return d.geo_country === stat.key;
+    if (stat.kind === "class") return d.host_edge === stat.key;
+    if (stat.kind === "distance") {
+      const [x0, x1] = stat.key.split("-").map(Number);
+      return homeKm(d) >= x0 && homeKm(d) < x1;
+    }
+    return true;
+  }
+
+  function setStatFilter(kind, key, label) {
+    const same = filters.stat && filters.stat.kind === kind && filters.stat.key === key;
+    filters.stat = same ? null : { kind, key, label };
+    applyFilters();
+  }
+
+  // [{ key, label, value }] -> rows of horizontal bars; `fmt` formats the value
+  function statChart(title, kind, rows, fmt = v => v) {
+    const max = d3.max(rows, r => r.value) || 1;
+    return `
+      <div class="statChart">
+        <div class="statTitle">${escapeHtml(title)}</div>
+        ${rows.map(r => `
+          <div class="statRow${filters.stat?.kind === kind && filters.stat.key === r.key ? " on" : ""}"
+               data-kind="${kind}" data-key="${escapeHtml(r.key)}" data-label="${escapeHtml(r.label)}" title="${escapeHtml(r.label)}">
+            <span class="statLabel">${escapeHtml(r.label)}</span>
+            <span class="statBar"><span style="width:${(r.value / max) * 100}%;${r.color ? `background:${r.color}` : ""}"></span></span>
+            <span class="statValue">${fmt(r.value)}</span>
+          </div>`).join("")}
+      </div>`;
+  }
+
+  function topRows(points, keyFn, labelFn) {
+    return Array.from(d3.rollup(points.filter(d => keyFn(d)), v => v.length, keyFn), ([key, value]) => ({ key, value, label: labelFn ? labelFn(key) : key }))
+      .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label))
+      .slice(0, STATS_TOP_N);
+  }
+
+  function renderStats() {
+    if (!statsOpen) return;
+
+    // every filter except the chart selection itself, so the other bars stay clickable
+    const pts = allPoints.filter(d => pointMatchesFilters(d, "stat"));
+
+    // most common owner name per ASN, for the labels
+    const asnOrg = d3.rollup(pts.filter(d => d.asn), v => d3.greatest(d3.rollups(v, g => g.length, d => d.org), g => g[1])?.[0] || "", d => d.asn);
+
+    const classRows = (valueFn) => CLASSES
+      .map(cls => ({ key: cls, label: classLabel(cls), color: COLOR(cls), value: d3.sum(pts.filter(d => d.host_edge === cls), valueFn) }))
+      .filter(r => r.value > 0);
+    const share = classRows(() => 1);
+    const total = d3.sum(share, r => r.value) || 1;
+
+    // half the Earth's circumference, rounded up to whole steps
+    const maxKm = Math.ceil((Math.PI * EARTH_RADIUS_KM) / DISTANCE_STEP_KM) * DISTANCE_STEP_KM;
+    const bins = d3.bin()
+      .domain([0, maxKm])
+      .thresholds(d3.range(DISTANCE_STEP_KM, maxKm, DISTANCE_STEP_KM))
+      (pts.map(homeKm));
+    const distRows = bins.map(b => ({
+      key: `${Math.round(b.x0)}-${Math.round(b.x1)}`,
+      label: `${d3.format(",")(Math.round(b.x0))}–${d3.format(",")(Math.round(b.x1))} km`,
+      value: b.length
+    }));
+
+    statsBody.innerHTML = `
+      ${filters.stat ? `<div class="statActive">Showing ${escapeHtml(filters.stat.label)} <button type="button" class="statClear ui-font">✕</button></div>` : ""}
+      <div class="statNote">${pts.length} domains</div>
+      ${statChart("Class share (domains)", "class", share, v => `${Math.round((v / total) * 100)}%`)}
+      ${statChart("Bookmarks by class", "class", classRows(d => d.bookmark_count || 0))}
+      ${statChart(`Top ${STATS_TOP_N} owners`, "org", topRows(pts, d => d.org))}
+      ${statChart(`Top ${STATS_TOP_N} ASNs`, "asn", topRows(pts, d => d.asn, asn => `AS${asn} ${asnOrg.get(asn) || ""}`.trim()))}
+      ${statChart(`Top ${STATS_TOP_N} countries (domains)`, "country", topRows(pts, d => d.geo_country))}
+      ${statChart(`Distance from ${home.name}`, "distance", distRows)}`;
+  }
+
+  statsBody.addEventListener("click", (e) => {
+    if (e.target.closest(".statClear")) { filters.stat = null; applyFilters(); return; }
+    const row = e.target.closest(".statRow");
+    if (row) setStatFilter(row.dataset.kind, row.dataset.key, row.dataset.label);
+  });
+
+  // shares the top-right corner with the diagnostics panel: one at a time
+  function setStatsOpen(open) {
+    statsOpen = open;
+    statsPanel.style.display = open ? "block" : "none";
+    statsToggle.classList.toggle("on", open);
+    if (open && diagOpen) setDiagOpen(false);
+    if (open && compareOpen) setCompareOpen(false);
+    renderStats();
+  }
+
+  statsToggle.addEventListener("click", () => {
+    setStatsOpen(!statsOpen);
+    scheduleHashUpdate();
+  });
+
+  // --- export (SVG / PNG / CSV / GeoJSON) ---
+  const exportSelect = part("exportMenu");
+  const EXPORT_FONT = "Arial, Helvetica, sans-serif";
+  const PNG_SCALES = [1, 2, 4];
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportFileName(ext) {
+    return `citography-hostmap-${formatDate(new Date())}.${ext}`;
+  }
+
+  // one line under the title: what is on the map
+  function viewSummary() {
+    const parts = [projSelect.selectedOptions[0]?.textContent, `${currentPoints.length} domains`];
+    if (!isDefaultRoots()) parts.push(selectedRoots.map(collectionName).join(" + "));
+    if (filters.folder) parts.push(filters.folder);
+    if (filters.query.trim()) parts.push(`“${filters.query.trim()}”`);
+    if (filters.until) parts.push(`until ${formatDate(filters.until)}`);
+    if (viewMode !== "dots") parts.push(viewModeSelect.selectedOptions[0]?.textContent);
+    if (arcMode !== "off") parts.push(arcModeSelect.selectedOptions[0]?.textContent);
+    return parts.filter(Boolean).join(" · ");
+  }
+
+  // colours actually used by the exported dots, with counts
+  function exportLegendEntries() {
+    const counts = d3.rollup(currentPoints, v => v.length, colorKey);
+    const order = colorByCollection() ? [...selectedRoots, "*"] : CLASSES;
+    return order
+      .filter(key => counts.has(key))
+      .map(key => ({ label: colorKeyLabel(key), color: colorOfKey(key), n: counts.get(key) }));
+  }
+
+  // the svg renderer's layers (projection, rotation, zoom, highlights) + title + legends
+  function buildExportSvg() {
+    const prev = renderer;
+    if (prev !== "svg") setRenderer("svg");
+    const layers = gAll.node().cloneNode(true);
+    if (prev !== "svg") setRenderer(prev);
+
+    const out = d3.create("svg")
+      .attr("xmlns", "http://www.w3.org/2000/svg")
+      .attr("width", w)
+      .attr("height", h)
+      .attr("viewBox", `0 0 ${w} ${h}`)
+      .attr("font-family", EXPORT_FONT);
+
+    out.append("rect").attr("width", w).attr("height", h).attr("fill", "#ffffff");
+    out.node().appendChild(layers);
+
+    out.append("text")
+      .attr("x", 16).attr("y", 28)
+      .attr("font-size", 16).attr("font-weight", 700).attr("fill", "#111111")
+      .text(exportTitle);
+    out.append("text")
+      .attr("x", 16).attr("y", 46)
+      .attr("font-size", 11).attr("fill", "#555555")
+      .text(viewSummary());
+
+    // dot colours (not needed when countries carry the data)
+    if (!isChoropleth()) {
+      const entries = exportLegendEntries();
+      const legend = out.append("g")
+        .attr("transform", `translate(16, ${h - 16 - entries.length * 15})`)
+        .attr("font-size", 10);
+      entries.forEach((e, i) => {
+        const row = legend.append("g").attr("transform", `translate(0, ${i * 15})`);
+        row.append("circle").attr("cx", 4).attr("cy", 4).attr("r", 4).attr("fill", e.color);
+        row.append("text").attr("x", 14).attr("y", 8).attr("fill", "#111111").text(`${e.label} (${e.n})`);
+      });
+    }
+
+    // dot size / colour ramp legends, as drawn above the controls
+    let y = h - 16;
+    for (const el of [rampLegend, sizeLegend]) {
+      const s = el.querySelector("svg");
+      if (el.style.display !== "block" || !s) continue;
+      const sw = +s.getAttribute("width");
+      const sh = +s.getAttribute("height");
+      y -= sh + 14;
+      const g = out.append("g")
+        .attr("transform", `translate(${w - 16 - sw}, ${y})`)
+        .attr("font-size", 10);
+      const copy = s.cloneNode(true);
+      g.node().appendChild(copy);
+      g.append("text").attr("x", 0).attr("y", sh + 11).attr("fill", "#555555").text(el.textContent.trim());
+    }
+
+    return out.node();
+  }
+
+  function svgText(node) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(node);
+  }
+
+  function exportSvg() {
+    downloadBlob(new Blob([svgText(buildExportSvg())], { type: "image/svg+xml" }), exportFileName("svg"));
+  }
+
+  // rasterise the same SVG at `scale` × the window size
+  async function exportPng(scale) {
+    const url = URL.createObjectURL(new Blob([svgText(buildExportSvg())], { type: "image/svg+xml" }));
+    try {
+      const img = new Image();
+      await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = () => reject(new Error("the map could not be rasterised"));
+        img.src = url;
+      });
+
+      const out = document.createElement("canvas");
+      out.width = Math.round(w * scale);
+      out.height = Math.round(h * scale);
+      out.getContext("2d").drawImage(img, 0, 0, out.width, out.height);
+
+      const blob = await new Promise(resolve => out.toBlob(resolve, "image/png"));
+      if (!blob) throw new Error("the PNG could not be encoded");
+      downloadBlob(blob, exportFileName("png"));
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // filtered points, or only those currently on screen
+  function exportRows(onScreen) {
+    const pts = onScreen ? currentPoints.filter(d => isOnScreen(d, 0)) : currentPoints;
+    return pts.map(d => ({
+      domain: d.domain,
+      org: d.org,
+      asn: d.asn,
+      ipv4: d.ipv4,
+      geo_country: d.geo_country,
+      geo_city: d.geo_city,
+      lat: d.lat,
+      lon: d.lon,
+      km_from_home: Math.round(homeKm(d)),
+      bookmark_count: d.bookmark_count,
+      host_edge: d.host_edge,
+      host_class: classLabel(d.host_edge),
+      first_added: formatDate(d.first_added),
+      collections: (d.collections || []).map(collectionName).join("; "),
+      folders: (domainFolders.get(d.domain) || []).map(f => f.folder_path).join("; "),
+      ...(snapshot ? { change: changeNote(d).join("; ") } : {})
+    }));
+  }
+
+  function exportCsv(onScreen) {
+    const csv = d3.csvFormat(exportRows(onScreen));
+    downloadBlob(new Blob([csv], { type: "text/csv" }), exportFileName("csv"));
+  }
+
+  function exportGeoJson(onScreen) {
+    const fc = {
+      type: "FeatureCollection",
+      features: exportRows(onScreen).map(({ lat, lon, ...props }) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [lon, lat] },
+        properties: props
+      }))
+    };
+    downloadBlob(new Blob([JSON.stringify(fc, null, 2)], { type: "application/geo+json" }), exportFileName("geojson"));
+  }
+
+  // PNG entries show the pixel size they will produce
+  function refreshExportMenu() {
+    for (const scale of PNG_SCALES) {
+      const opt = exportSelect.querySelector(`option[value="png${scale}"]`);
+      if (opt) opt.textContent = `PNG ${Math.round(w * scale)} × ${Math.round(h * scale)}`;
+    }
+  }
+
+  exportSelect.addEventListener("focus", refreshExportMenu);
+  exportSelect.addEventListener("mousedown", refreshExportMenu);
+  exportSelect.addEventListener("change", async () => {
+    const v = exportSelect.value;
+    exportSelect.value = "";
+    try {
+      if (v === "svg") exportSvg();
+      else if (v.startsWith("png")) await exportPng(+v.slice(3));
+      else if (v === "csv" || v === "csvScreen") exportCsv(v === "csvScreen");
+      else if (v === "geojson" || v === "geojsonScreen") exportGeoJson(v === "geojsonScreen");
+    } catch (err) {
+      showToast(`Export failed: ${err.message}`);
+    }
+  });
+
+  // --- URL hash state ---
+  // #proj=…&rot=λ,φ,γ&z=k,x/w,y/h&sel=domain&q=…&hide=EDGE&cls=dim&until=YYYY-MM-DD&view=…&arcs=…&size=…&auto=0&home=lon,lat,name
+  const projSelect = part("proj");
+  const viewModeSelect = part("viewMode");
+  const arcModeSelect = part("arcMode");
+  const sizeModeSelect = part("sizeMode");
+  const groupBySelect = part("groupBy");
+  const searchInput = part("search");
+
+  let hashRestoring = false;
+  let hashTimer = null;
+
+  function hasOption(select, value) {
+    return Array.from(select.options).some(o => o.value === value);
+  }
+
+  function parseNumbers(str, n) {
+    const nums = (str || "").split(",").map(Number);
+    return nums.length === n && nums.every(Number.isFinite) ? nums : null;
+  }
+
+  function writeHashState() {
+    if (hashRestoring || !options.hash) return;
+    const q = new URLSearchParams();
+
+    q.set("proj", projSelect.value);
+    if (projection.rotate) q.set("rot", projection.rotate().map(v => +v.toFixed(2)).join(","));
+
+    // pan stored relative to the viewport so links survive other screen sizes
+    const t = d3.zoomTransform(svg.node());
+    if (t.k !== 1 || t.x || t.y) q.set("z", [+t.k.toFixed(3), +(t.x / w).toFixed(4), +(t.y / h).toFixed(4)].join(","));
+
+    if (popup.style.display === "block" && popup.__domain) q.set("sel", popup.__domain);
+
+    if (filters.query.trim()) q.set("q", filters.query.trim());
+    if (filters.hiddenClasses.size) q.set("hide", Array.from(filters.hiddenClasses).join(","));
+    if (filters.classMode !== "hide") q.set("cls", filters.classMode);
+    if (filters.until) q.set("until", formatDate(filters.until));
+    if (filters.folder) q.set("folder", filters.folder);
+    if (groupBy !== "folder") q.set("group", groupBy);
+    if (filters.stat) q.set("stat", `${filters.stat.kind}:${filters.stat.key}`);
+    if (statsOpen) q.set("stats", "1");
+    if (diagOpen) q.set("check", "1");
+
+    if (viewMode !== "dots") q.set("view", viewMode);
+    if (arcMode !== "off") q.set("arcs", arcMode);
+    if (sizeMode !== "constant") q.set("size", sizeMode);
+    if (!isDefaultRoots()) q.set("col", selectedRoots.join(","));
+    if (colorBy !== "class") q.set("color", colorBy);
+    if (userWantsAuto !== autoDefault) q.set("auto", userWantsAuto ? "1" : "0");
+    if (!isDefaultHome()) q.set("home", [+home.lon.toFixed(4), +home.lat.toFixed(4), home.name].join(","));
+
+    history.replaceState(null, "", "#" + q.toString());
+  }
+
+  function scheduleHashUpdate() {
+    clearTimeout(hashTimer);
+    hashTimer = setTimeout(writeHashState, 250);
+  }
+
+  // returns true when the hash pinned a view (rotation, zoom or selection)
+  function applyHashState() {
+    if (!options.hash) return false;
+    const q = new URLSearchParams(location.hash.slice(1));
+    if (!Array.from(q.keys()).length) return false;
+
+    hashRestoring = true;
+    try {
+      stopAutoRotate();
+      closePopup();
+
+      filters.query = q.get("q") || "";
+      searchInput.value = filters.query;
+      filters.hiddenClasses = new Set((q.get("hide") || "").split(",").filter(c => CLASSES.includes(c)));
+      filters.classMode = q.get("cls") === "dim" ? "dim" : "hide";
+
+      colorBy = q.get("color") === "collection" ? "collection" : "class";
+      const roots = q.get("col") ? q.get("col").toLowerCase().split(",").filter(Boolean) : defaultRoots;
+      if (roots.join(",") !== selectedRoots.join(",")) setSelectedRoots(roots);
+      else renderCollections();
+
+      groupBy = hasOption(groupBySelect, q.get("group")) ? q.get("group") : "folder";
+      groupBySelect.value = groupBy;
+
+      // bar labels are rebuilt from the key
+      const stat = /^(org|asn|country|class|distance):(.+)$/.exec(q.get("stat") || "");
+      filters.stat = stat ? { kind: stat[1], key: stat[2], label: stat[1] === "class" ? classLabel(stat[2]) : stat[2] } : null;
+      setStatsOpen(q.get("stats") === "1");
+      setDiagOpen(q.get("check") === "1");
+
+      filters.folder = q.get("folder") || null;
+      if (filters.folder && !folderSubtreeDomains(filters.folder).size) filters.folder = null;
+      folderFilterSet = filters.folder ? folderSubtreeDomains(filters.folder) : null;
+      highlighted = new Set(folderFilterSet || []);
+
+      stopTimeline();
+      const until = Date.parse(q.get("until") || "");
+      setTimelineDay(Number.isFinite(until) && timeStart ? (until - timeStart) / DAY_MS : timeDays);
+
+      viewMode = hasOption(viewModeSelect, q.get("view")) ? q.get("view") : "dots";
+      arcMode = hasOption(arcModeSelect, q.get("arcs")) ? q.get("arcs") : "off";
+      sizeMode = hasOption(sizeModeSelect, q.get("size")) ? q.get("size") : "constant";
+      viewModeSelect.value = viewMode;
+      arcModeSelect.value = arcMode;
+      sizeModeSelect.value = sizeMode;
+
+      // a shared link frames the map from the sender's home; without one, this browser's own
+      const [hLon, hLat, ...hName] = (q.get("home") || "").split(",");
+      useHome(validHome({ name: hName.join(","), lon: hLon, lat: hLat }) || storedHome() || DEFAULT_HOME);
+
+      const kind = hasOption(projSelect, q.get("proj")) ? q.get("proj") : "ortho_gent";
+      projSelect.value = kind;
+      setProjection(kind, countries);
+
+      const rot = parseNumbers(q.get("rot"), 3);
+      if (rot && projection.rotate) {
+        projection.rotate(rot);
+        path = d3.geoPath(projection);
+      }
+
+      userWantsAuto = q.has("auto") ? q.get("auto") !== "0" : autoDefault;
+
+      applyFilters();
+
+      const z = parseNumbers(q.get("z"), 3);
+      const t = z ? d3.zoomIdentity.translate(z[1] * w, z[2] * h).scale(z[0]) : d3.zoomIdentity;
+      svg.call(zoom.transform, t);
+
+      const sel = normalizeDomain(q.get("sel"));
+      const d = sel && currentPoints.find(x => x.domain === sel);
+      if (d) {
+        if (projectPoint(d)) openPopupForPoint(d);
+        else flyToPoint(d, { zoomIn: false });
+      }
+
+      return !!(rot || z || d);
+    } finally {
+      hashRestoring = false;
+    }
+  }
+
+  listen(window, "hashchange", () => applyHashState());
+
+  // --- home picker (gazetteer or a click on the map) ---
+  const HOME_STORAGE_KEY = "citography.home";
+  const HOME_SNAP_KM = 25;          // a map click this close to a gazetteer city takes its name
+
+  const homeInput = part("homeInput");
+  const homeCityList = part("homeCities");
+  const homePick = part("homePick");
+
+  let cities = [];                  // [{name, country, lat, lon}] from cities.json
+  let pickingHome = false;
+
+  function cityLabel(c) {
+    return `${c.name}, ${c.country}`;
+  }
+
+  async function loadCities() {
+    try {
+      const json = await d3.json(urls.cities);
+      cities = (json.cities || []).filter(c => c.name && Number.isFinite(+c.lon) && Number.isFinite(+c.lat));
+    } catch (e) {
+      noteLoadError("City list", urls.cities, e, "home can still be picked on the map");
+      cities = [];
+    }
+    homeCityList.innerHTML = cities.map(c => `<option value="${escapeHtml(cityLabel(c))}"></option>`).join("");
+  }
+
+  // "Leuven, Belgium" or just "Leuven" (first match)
+  function findCity(text) {
+    const t = text.trim().toLowerCase();
+    if (!t) return null;
+    return cities.find(c => cityLabel(c).toLowerCase() === t) || cities.find(c => c.name.toLowerCase() === t) || null;
+  }
+
+  function formatLonLat([lon, lat]) {
+    return `${Math.abs(lat).toFixed(2)}°${lat < 0 ? "S" : "N"} ${Math.abs(lon).toFixed(2)}°${lon < 0 ? "W" : "E"}`;
+  }
+
+  function validHome(h) {
+    return h && typeof h.name === "string" && h.name && Number.isFinite(+h.lon) && Number.isFinite(+h.lat)
+      ? { name: h.name, lon: +h.lon, lat: +h.lat } : null;
+  }
+
+  function storedHome() {
+    try { return validHome(JSON.parse(localStorage.getItem(HOME_STORAGE_KEY))); }
+    catch { return null; }
+  }
+
+  function isDefaultHome() {
+    return home.name === DEFAULT_HOME.name && home.lon === DEFAULT_HOME.lon && home.lat === DEFAULT_HOME.lat;
+  }
+
+  // state only: labels and distances; callers redraw
+  function useHome(h) {
+    home = { ...h };
+    updateHomeDistances();
+    homeInput.value = "";
+    homeInput.placeholder = `Home: ${home.name}`;
+    projSelect.querySelector('option[value="ortho_gent"]').textContent = `Orthographic (${home.name})`;
+    arcModeSelect.title = `Flow arcs from ${home.name}`;
+    groupBySelect.querySelector('option[value="distance"]').textContent = `Sort: distance from ${home.name}`;
+  }
+
+  function setHome(h) {
+    useHome(h);
+    try { localStorage.setItem(HOME_STORAGE_KEY, JSON.stringify(home)); } catch { /* private mode */ }
+
+    hideTip();
+    applyFilters();
+    if (isGlobe()) flyToPoint(home, { zoomIn: false, open: false });
+    else if (popup.style.display === "block") {
+      const d = currentPoints.find(x => x.domain === popup.__domain);
+      if (d) openPopupForPoint(d);
+    }
+    announce(`Home set to ${home.name}.`);
+  }
+
+  function setPickingHome(on) {
+    pickingHome = on;
+    homePick.classList.toggle("on", on);
+    svg.classed("pickingHome", on);
+    if (on) {
+      stopAutoRotate();
+      hideTip();
+      announce("Click the map to set home. Escape cancels.");
+    }
+  }
+
+  homeInput.addEventListener("change", () => {
+    const c = findCity(homeInput.value);
+    if (c) setHome({ name: c.name, lon: +c.lon, lat: +c.lat });
+    else if (homeInput.value.trim()) showToast(`“${homeInput.value.trim()}” is not in the city list. Pick home on the map instead.`);
+  });
+  homeInput.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && homeInput.value) { e.stopPropagation(); homeInput.value = ""; }
+  });
+
+  homePick.addEventListener("click", () => setPickingHome(!pickingHome));
+  listen(window, "keydown", (e) => {
+    if (e.key === "Escape" && pickingHome) setPickingHome(false);
+  });
+
+  // capture phase, so the click sets home instead of opening a dot or a cluster
+  svg.node().addEventListener("click", (e) => {
+    if (!pickingHome) return;
+    e.stopPropagation();
+    const [mx, my] = d3.pointer(e, svg.node());
+    const ll = lonLatAt(mx, my);
+    if (!ll) { showToast("Click on the map itself to set home."); return; }
+
+    const near = d3.least(cities, c => d3.geoDistance(ll, [+c.lon, +c.lat]));
+    const snap = near && d3.geoDistance(ll, [+near.lon, +near.lat]) * EARTH_RADIUS_KM <= HOME_SNAP_KM;
+    setPickingHome(false);
+    setHome({ name: snap ? near.name : formatLonLat(ll), lon: +ll[0].toFixed(4), lat: +ll[1].toFixed(4) });
+  }, true);
+
+  // --- projection select ---
+  // "orthographic" is the public name of the home-centred globe
+  function projectionKind(name) {
+    const kind = name === "orthographic" ? "ortho_gent" : name;
+    return hasOption(projSelect, kind) ? kind : "ortho_gent";
+  }
+
+  function changeProjection(kind) {
+    stopAutoRotate();
+    projSelect.value = kind;
+    setProjection(kind, countries);
+    closePopup();
+    redraw();
+    startAutoRotate();
+    scheduleHashUpdate();
+  }
+
+  projSelect.addEventListener("change", (e) => changeProjection(e.target.value));
+
+  viewModeSelect.addEventListener("change", (e) => {
+    viewMode = e.target.value;
+    hideTip();
+    applyFilters();
+  });
+
+  arcModeSelect.addEventListener("change", (e) => {
+    arcMode = e.target.value;
+    hideTip();
+    render();
+    scheduleHashUpdate();
+  });
+
+  sizeModeSelect.addEventListener("change", (e) => {
+    sizeMode = e.target.value;
+    render();
+    renderSizeLegend();
+    scheduleHashUpdate();
+  });
+
+  groupBySelect.addEventListener("change", (e) => {
+    groupBy = e.target.value;
+    buildSitesList();
+    scheduleHashUpdate();
+  });
+
+  searchInput.addEventListener("input", () => {
+    filters.query = searchInput.value;
+    applyFilters();
+  });
+  // keep typing keys (Escape clears the field) away from global shortcuts
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && searchInput.value) {
+      e.stopPropagation();
+      searchInput.value = "";
+      filters.query = "";
+      applyFilters();
+    }
+  });
+
+  // the page's container follows the window; an embedded one may change size on its own
+  const resizeObserver = new ResizeObserver(() => {
+    if (root.clientWidth === w && root.clientHeight === h) return;
+    w = root.clientWidth; h = root.clientHeight;
+    svg.attr("width", w).attr("height", h);
+    sizeCanvas();
+    setProjection(projSelect.value, countries);
+    redraw();
+  });
+  resizeObserver.observe(root);
+
+  // If the popup is open and folders scroll changes header height slightly, keep body correct.
+  const popHeaderObserver = new ResizeObserver(() => {
+    if (popup.style.display === "block") syncPopupBodyHeight();
+  });
+  popHeaderObserver.observe(popHeader);
+
+  // --- public API ---
+  const api = {
+    on(type, fn) {
+      const name = `${type}.l${++listenerCount}`;
+      events.on(name, fn);
+      listeners.push({ type, fn, name });
+      return api;
+    },
+
+    // without fn: every listener of that type
+    off(type, fn) {
+      const gone = listeners.filter(l => l.type === type && (!fn || l.fn === fn));
+      for (const l of gone) events.on(l.name, null);
+      listeners = listeners.filter(l => !gone.includes(l));
+      return api;
+    },
+
+    // false when the domain is not on the map (unknown, unlocated or filtered out)
+    focusDomain(domain, { open = true, zoomIn = true } = {}) {
+      const d = currentPoints.find(x => x.domain === normalizeDomain(domain));
+      if (d) flyToPoint(d, { zoomIn, open });
+      return !!d;
+    },
+
+    // any of: query, hiddenClasses (class ids), classMode ("hide" | "dim"), folder, until (date or null;
+    // a date before the first bookmark leaves the map empty)
+    setFilter(next = {}) {
+      if ("query" in next) searchInput.value = filters.query = next.query || "";
+      if ("hiddenClasses" in next) filters.hiddenClasses = new Set([].concat(next.hiddenClasses || []).filter(c => CLASSES.includes(c)));
+      if ("classMode" in next) filters.classMode = next.classMode === "dim" ? "dim" : "hide";
+      if ("until" in next) {
+        // null clears the time filter; a date that does not parse is refused, not read as "all dates"
+        const until = next.until ? new Date(next.until).getTime() : null;
+        if (Number.isNaN(until)) console.warn("setFilter: ignoring until, not a date:", next.until);
+        else {
+          stopTimeline();
+          setTimelineDay(until !== null && timeStart ? (until - timeStart) / DAY_MS : timeDays);
+        }
+      }
+      if ("folder" in next) {
+        filters.folder = next.folder && folderSubtreeDomains(next.folder).size ? next.folder : null;
+        folderFilterSet = filters.folder ? folderSubtreeDomains(filters.folder) : null;
+        highlighted = new Set(folderFilterSet || []);
+      }
+      applyFilters();
+    },
+
+    setProjection(kind) {
+      changeProjection(projectionKind(kind));
+    },
+
+    setHome(h) {
+      const next = validHome(h);
+      if (next) setHome(next);
+      return !!next;
+    },
+
+    destroy() {
+      stopAutoRotate();
+      stopTimeline();
+      svg.interrupt();
+      clearTimeout(frameTimer);
+      clearTimeout(toastTimer);
+      clearTimeout(hashTimer);
+      resizeObserver.disconnect();
+      popHeaderObserver.disconnect();
+      for (const off of cleanups) off();
+      root.innerHTML = "";
+      root.classList.remove("hostmap");
+    }
+  };
+
+  // --- init ---
+  useHome(validHome(options.home) || storedHome() || DEFAULT_HOME);
+  loadCities();
+  projSelect.value = projectionKind(options.projection);
+  setProjection(projSelect.value, countries);
+  render();
+  renderLegend();
+
+  try {
+    await loadData();
+    if (!applyHashState()) startAutoRotate();
+  } catch (err) {
+    console.error("Could not load the data:", err);
+  }
+
+  return api;
+}
@@ -0,0 +1,103 @@
+// Offline copy of the host map (registered by index.html).
+// Page, code and data: network first, so edits and new CSV exports show up when online;
+// the cached copy answers when the network fails, errors or is too slow (conference Wi-Fi).
+// vendor/ never changes for a given version: cache first.
+// Bump CACHE when the file list changes; old caches are dropped on activate.
+
+const CACHE = "citography-hostmap-v1";
+const NETWORK_TIMEOUT_MS = 4000;
+
+const APP_FILES = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./styles.css",
+  "./vendor/libs.js",
+  "./vendor/d3.min.js",
+  "./vendor/d3-geo-projection.min.js",
+  "./vendor/d3-geo-polygon.min.js",
+  "./vendor/topojson-client.min.js",
+  "./vendor/countries-110m.json"
+];
+
+// optional: the map starts without them, so one missing file must not block the install
+const DATA_FILES = [
+  "./hostmap_references.csv",
+  "./domains_by_folder.csv",
+  "./bookmarks_flat.csv",
+  "./hosting_rules.json",
+  "./cities.json"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(APP_FILES);
+    await Promise.all(DATA_FILES.map(url => cache.add(url).catch(err => console.warn(`Not cached: ${url}`, err))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith("citography-hostmap-") && n !== CACHE).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // other sites (popup previews, favicons) are not ours to cache
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (url.pathname.includes("/vendor/")) event.respondWith(cacheFirst(request));
+  else event.respondWith(networkFirst(request));
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (usable(request, response)) (await caches.open(CACHE)).put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  const network = fetch(request).then((response) => {
+    if (usable(request, response)) cache.put(request, response.clone());
+    return response;
+  });
+  network.catch(() => {});   // answered from the cache meanwhile
+
+  let response = null;
+  try {
+    response = await withTimeout(network, NETWORK_TIMEOUT_MS);
+    if (usable(request, response)) return response;
+  } catch { /* offline or too slow */ }
+
+  // ?renderer=svg and the like load the same page
+  const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+  // nothing cached yet: the network's own answer, or keep waiting for the slow network (or its error)
+  return cached || response || network;
+}
+
+// what the server meant to send: not an error, and not a Wi-Fi sign-in portal answering for it
+// (a redirect, or its HTML page in place of a CSV, JSON or script)
+function usable(request, response) {
+  if (!response.ok || response.redirected) return false;
+  const type = response.headers.get("content-type") || "";
+  return request.mode === "navigate" || !type.includes("text/html");
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No answer within ${ms} ms`)), ms);
+    promise.then(
+      (v) => { clearTimeout(timer); resolve(v); },
+      (e) => { clearTimeout(timer); reject(e); }
+    );
+  });
+}